@@ -4,13 +4,17 @@ import fs from "fs";
 import path from "path";
 import PizZip from "pizzip";
 import Docxtemplater from "docxtemplater";
-import { exec } from "child_process";
-import { fileURLToPath } from "url";
+import ImageModule from "docxtemplater-image-module-free";
+import QRCode from "qrcode";
+import { execFile, spawn } from "child_process";
+import { fileURLToPath, pathToFileURL } from "url";
 import os from "os";
 import multer from "multer";
+import net from "net";
 import xlsx from "xlsx";
 import crypto from "crypto";
 import admin from "firebase-admin";
+import { PDFDocument, StandardFonts, degrees, rgb } from "pdf-lib";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -26,6 +30,14 @@ app.use(
     origin: "*",
     methods: ["GET", "POST", "DELETE", "PUT", "OPTIONS"],
     allowedHeaders: ["Content-Type", "Authorization"],
+    exposedHeaders: [
+      "Content-Disposition",
+      "X-Batch-Failed",
+      "X-Batch-Report",
+      "X-Batch-Issuance-Id",
+      "X-Render-Cache",
+      "X-Issuance-Id",
+    ],
   })
 );
 app.options("*", cors());
@@ -49,7 +61,7 @@ if (!admin.apps.length) {
 
   if (!projectId || !clientEmail || !privateKey) {
     console.warn(
-      "⚠️ Firebase Admin env vars missing. Firestore lookups will fail."
+      "⚠️ Firebase Admin env vars missing. Using local JSON storage."
     );
   } else {
     admin.initializeApp({
@@ -67,14 +79,19 @@ const fdb = admin.apps.length ? admin.firestore() : null;
 // -----------------------------
 // OPTIONAL JSON FILES
 // -----------------------------
-const DATA_FILE = path.join(__dirname, "records.json");
-const ARCHIVE_FILE = path.join(__dirname, "archive.json");
-const DOCUMENTS_FILE = path.join(__dirname, "documents.json");
-const HISTORY_FILE = path.join(__dirname, "history.json");
-const CLEARANCES_FILE = path.join(__dirname, "clearances.json");
+const LOCAL_DATA_DIR = process.env.LOCAL_DATA_DIR
+  ? path.resolve(process.env.LOCAL_DATA_DIR)
+  : __dirname;
+
+const DATA_FILE = path.join(LOCAL_DATA_DIR, "records.json");
+const ARCHIVE_FILE = path.join(LOCAL_DATA_DIR, "archive.json");
+const DOCUMENTS_FILE = path.join(LOCAL_DATA_DIR, "documents.json");
+const HISTORY_FILE = path.join(LOCAL_DATA_DIR, "history.json");
+const CLEARANCES_FILE = path.join(LOCAL_DATA_DIR, "clearances.json");
 
 const ensureFile = (file, defaultData) => {
   if (!fs.existsSync(file)) {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
     fs.writeFileSync(file, JSON.stringify(defaultData, null, 2));
   }
 };
@@ -89,11 +106,243 @@ const readJSON = (file) => JSON.parse(fs.readFileSync(file, "utf-8"));
 const writeJSON = (file, data) =>
   fs.writeFileSync(file, JSON.stringify(data, null, 2));
 
+// -----------------------------
+// STORAGE
+// -----------------------------
+// Every route talks to `store`, never to Firestore or the JSON files directly.
+// Both adapters expose the same async interface:
+//   get(col, id) / list(col, { where, orderBy, direction, limit, after })
+//   set(col, id, data, { merge }) / delete(col, id)
+//   commit([{ op: "set" | "delete", col, id, data }]) / count(col) / ping()
+//   update(col, id, fn) -> fn(current | null) returns the next document,
+//   applied atomically (counters); resolves to the stored document
+// `where` is a map of field -> value, matched by equality. Ties in `orderBy`
+// fall back to the document id, and `after` ({ value, id } of the last item
+// seen) resumes the listing right after that item, for cursor paging.
+const FIRESTORE_BATCH_LIMIT = 450;
+
+const createFirestoreStore = (db) => ({
+  name: "firestore",
+
+  async get(col, id) {
+    const snap = await db.collection(col).doc(String(id)).get();
+    return snap.exists ? { id: snap.id, ...snap.data() } : null;
+  },
+
+  async list(col, { where = {}, orderBy, direction = "asc", limit, after } = {}) {
+    let query = db.collection(col);
+    for (const [field, value] of Object.entries(where)) {
+      query = query.where(field, "==", value);
+    }
+    if (orderBy) query = query.orderBy(orderBy, direction);
+    if (orderBy && after) {
+      // the id is Firestore's implicit tie-break; spelled out so it takes a cursor value
+      query = query
+        .orderBy(admin.firestore.FieldPath.documentId(), direction)
+        .startAfter(after.value, String(after.id));
+    }
+    if (limit) query = query.limit(limit);
+
+    const snap = await query.get();
+    return snap.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  },
+
+  async set(col, id, data, { merge = false } = {}) {
+    await db.collection(col).doc(String(id)).set(data, { merge });
+  },
+
+  async delete(col, id) {
+    await db.collection(col).doc(String(id)).delete();
+  },
+
+  async commit(ops) {
+    for (let i = 0; i < ops.length; i += FIRESTORE_BATCH_LIMIT) {
+      const batch = db.batch();
+      for (const { op, col, id, data } of ops.slice(i, i + FIRESTORE_BATCH_LIMIT)) {
+        const ref = db.collection(col).doc(String(id));
+        if (op === "delete") batch.delete(ref);
+        else batch.set(ref, data);
+      }
+      await batch.commit();
+    }
+  },
+
+  async update(col, id, fn) {
+    const ref = db.collection(col).doc(String(id));
+    return db.runTransaction(async (tx) => {
+      const snap = await tx.get(ref);
+      const next = fn(snap.exists ? { id: snap.id, ...snap.data() } : null);
+      tx.set(ref, next);
+      return { ...next, id: String(id) };
+    });
+  },
+
+  async count(col) {
+    const agg = await db.collection(col).count().get();
+    return agg.data().count;
+  },
+
+  async ping() {
+    await db.collection("_health").doc("ping").get();
+  },
+});
+
+const LOCAL_COLLECTION_FILES = {
+  records: DATA_FILE,
+  clearances: CLEARANCES_FILE,
+  documents: DOCUMENTS_FILE,
+  history: HISTORY_FILE,
+};
+
+// archive.json is { "YYYY-MM": [records] }, standing in for archive/{month}/records
+const LOCAL_ARCHIVE_PATH = /^(archive|archives)\/([^/]+)\/records$/;
+
+const createLocalStore = () => {
+  const fileFor = (col) => {
+    if (LOCAL_COLLECTION_FILES[col]) return LOCAL_COLLECTION_FILES[col];
+    if (!/^[\w-]+$/.test(col)) throw new Error(`Unsupported local collection: ${col}`);
+    const file = path.join(LOCAL_DATA_DIR, `${col}.json`);
+    ensureFile(file, []);
+    return file;
+  };
+
+  const readCollection = (col) => {
+    const archived = col.match(LOCAL_ARCHIVE_PATH);
+    if (archived) {
+      if (archived[1] !== "archive") return [];
+      return readJSON(ARCHIVE_FILE)[archived[2]] || [];
+    }
+
+    if (col === "archive") {
+      return Object.entries(readJSON(ARCHIVE_FILE)).map(([month, items]) => ({
+        id: month,
+        month,
+        count: items.length,
+      }));
+    }
+    if (col === "archives") return [];
+
+    return readJSON(fileFor(col));
+  };
+
+  const writeCollection = (col, items) => {
+    const archived = col.match(LOCAL_ARCHIVE_PATH);
+    if (archived || col === "archive") {
+      const archive = readJSON(ARCHIVE_FILE);
+      if (archived) archive[archived[2]] = items;
+      else for (const m of items) archive[m.id] = archive[m.id] || [];
+      return writeJSON(ARCHIVE_FILE, archive);
+    }
+    if (col === "archives") return;
+
+    writeJSON(fileFor(col), items);
+  };
+
+  const applySet = (items, id, data, merge) => {
+    const i = items.findIndex((x) => String(x.id) === String(id));
+    const next = { ...(merge && i >= 0 ? items[i] : {}), ...data, id: String(id) };
+    if (i >= 0) items[i] = next;
+    else items.push(next);
+  };
+
+  const applyDelete = (items, id) => {
+    const i = items.findIndex((x) => String(x.id) === String(id));
+    if (i >= 0) items.splice(i, 1);
+  };
+
+  return {
+    name: "local",
+
+    async get(col, id) {
+      const item = readCollection(col).find((x) => String(x.id) === String(id));
+      return item ? { ...item } : null;
+    },
+
+    async list(col, { where = {}, orderBy, direction = "asc", limit, after } = {}) {
+      let items = readCollection(col).filter((x) =>
+        Object.entries(where).every(([field, value]) => x[field] === value)
+      );
+      if (orderBy) {
+        const dir = direction === "desc" ? -1 : 1;
+        const compare = (a, b) =>
+          dir *
+          (String(a[orderBy] ?? "").localeCompare(String(b[orderBy] ?? "")) ||
+            String(a.id).localeCompare(String(b.id)));
+        items = items.sort(compare);
+        if (after) {
+          const last = { [orderBy]: after.value, id: after.id };
+          items = items.filter((x) => compare(x, last) > 0);
+        }
+      }
+      if (limit) items = items.slice(0, limit);
+      return items.map((x) => ({ ...x }));
+    },
+
+    async set(col, id, data, { merge = false } = {}) {
+      const items = readCollection(col);
+      applySet(items, id, data, merge);
+      writeCollection(col, items);
+    },
+
+    async delete(col, id) {
+      const items = readCollection(col);
+      applyDelete(items, id);
+      writeCollection(col, items);
+    },
+
+    async commit(ops) {
+      const touched = new Map();
+      for (const { op, col, id, data } of ops) {
+        if (!touched.has(col)) touched.set(col, readCollection(col));
+        if (op === "delete") applyDelete(touched.get(col), id);
+        else applySet(touched.get(col), id, data, false);
+      }
+      for (const [col, items] of touched) writeCollection(col, items);
+    },
+
+    // read and write run in one tick, so no other request can interleave
+    async update(col, id, fn) {
+      const items = readCollection(col);
+      const current = items.find((x) => String(x.id) === String(id));
+      const next = fn(current ? { ...current } : null);
+      applySet(items, id, next, false);
+      writeCollection(col, items);
+      return { ...next, id: String(id) };
+    },
+
+    async count(col) {
+      return readCollection(col).length;
+    },
+
+    async ping() {
+      readJSON(DATA_FILE);
+    },
+  };
+};
+
+const STORAGE_BACKEND =
+  String(process.env.STORAGE_BACKEND || "").trim().toLowerCase() ||
+  (fdb ? "firestore" : "local");
+
+if (!["firestore", "local"].includes(STORAGE_BACKEND)) {
+  throw new Error(`Unknown STORAGE_BACKEND: ${STORAGE_BACKEND}`);
+}
+
+if (STORAGE_BACKEND === "firestore" && !fdb) {
+  throw new Error("STORAGE_BACKEND=firestore but Firebase Admin is not initialized.");
+}
+
+const store = STORAGE_BACKEND === "firestore" ? createFirestoreStore(fdb) : createLocalStore();
+
 // -----------------------------
 // HELPERS
 // -----------------------------
 const normalize = (v) => String(v ?? "").trim();
 
+// drops blank query filters so they don't become `== ""` lookups
+const pickFilters = (filters) =>
+  Object.fromEntries(Object.entries(filters).filter(([, v]) => v));
+
 const ensureEntityKey = (r) => {
   if (!r) return r;
   if (r.entityKey) return r;
@@ -106,8 +355,8 @@ const ensureEntityKey = (r) => {
 
 const normalizeEntityKey = (entityKey) => normalize(entityKey);
 
-const toLongDate = (v) => {
-  if (!v) return "";
+const parseDateValue = (v) => {
+  if (!v) return null;
 
   if (typeof v === "object" && typeof v.toDate === "function") {
     v = v.toDate();
@@ -134,7 +383,24 @@ const toLongDate = (v) => {
     if (!Number.isNaN(tmp.getTime())) d = tmp;
   }
 
-  if (!d || Number.isNaN(d.getTime())) return String(v);
+  if (!d || Number.isNaN(d.getTime())) return null;
+  return d;
+};
+
+// YYYY-MM-DD in local time, "" when the value is not a date
+const toISODate = (v) => {
+  const d = parseDateValue(v);
+  if (!d) return "";
+  const m = String(d.getMonth() + 1).padStart(2, "0");
+  const day = String(d.getDate()).padStart(2, "0");
+  return `${d.getFullYear()}-${m}-${day}`;
+};
+
+const toLongDate = (v) => {
+  if (!v) return "";
+
+  const d = parseDateValue(v);
+  if (!d) return String(v);
 
   const months = [
     "January",
@@ -302,6 +568,7 @@ const pickAllowedClearanceFields = (obj = {}) => ({
 
   FSIC_NUMBER: obj.FSIC_NUMBER ?? obj.fsicNumber ?? "",
   FSIC_APP_NO: obj.FSIC_APP_NO ?? obj.fsicAppNo ?? "",
+  controlNumber: obj.controlNumber ?? obj.CONTROL_NUMBER ?? "",
 
   ownerName: obj.ownerName ?? obj.OWNERS_NAME ?? "",
   establishmentName:
@@ -417,31 +684,21 @@ supervisor: obj.supervisor ?? obj.SUPERVISOR ?? "",
 });
 
 // -----------------------------
-// FIRESTORE LOOKUPS
+// LOOKUPS
 // -----------------------------
 const findRecordById = async (id) => {
-  if (!fdb) return null;
-
-  const snap = await fdb.collection("records").doc(String(id)).get();
-  if (snap.exists) return ensureEntityKey({ id: snap.id, ...snap.data() });
+  const active = await store.get("records", id);
+  if (active) return ensureEntityKey(active);
 
   const archiveCollections = ["archive", "archives"];
 
   for (const colName of archiveCollections) {
     try {
-      const monthsSnap = await fdb.collection(colName).get();
-
-      for (const m of monthsSnap.docs) {
-        const recSnap = await fdb
-          .collection(colName)
-          .doc(m.id)
-          .collection("records")
-          .doc(String(id))
-          .get();
-
-        if (recSnap.exists) {
-          return ensureEntityKey({ id: recSnap.id, ...recSnap.data() });
-        }
+      const months = await store.list(colName);
+
+      for (const m of months) {
+        const archived = await store.get(`${colName}/${m.id}/records`, id);
+        if (archived) return ensureEntityKey(archived);
       }
     } catch {
       // skip if collection does not exist
@@ -451,32 +708,123 @@ const findRecordById = async (id) => {
   return null;
 };
 
-const findDocumentById = async (id) => {
-  if (!fdb) return null;
-  const snap = await fdb.collection("documents").doc(String(id)).get();
-  if (snap.exists) return { id: snap.id, ...snap.data() };
-  return null;
+const findDocumentById = async (id) => store.get("documents", id);
+
+const findClearanceById = async (id) => store.get("clearances", id);
+
+// same lookup as getDocumentsForRecord: two indexed queries, merged by id
+const getClearancesForRecord = async (record) => {
+  const entityKey = normalize(record.entityKey);
+  const queries = [
+    store.list("clearances", { where: { recordId: String(record.id) } }),
+  ];
+  if (entityKey) {
+    queries.push(store.list("clearances", { where: { entityKey } }));
+  }
+
+  const byId = new Map();
+  for (const items of await Promise.all(queries)) {
+    for (const c of items) byId.set(c.id, c);
+  }
+
+  return [...byId.values()].sort((a, b) =>
+    String(b.createdAt || "").localeCompare(String(a.createdAt || ""))
+  );
+};
+
+// -----------------------------
+// HISTORY
+// -----------------------------
+const HISTORY_PICKERS = {
+  record: (obj = {}) => ({
+    ...pickAllowedRecordFields(obj),
+    renewedFrom: obj.renewedFrom ?? "",
+    renewedBy: obj.renewedBy ?? "",
+    status: obj.status ?? "",
+    compliedDate: obj.compliedDate ?? "",
+    fsicIssuedDate: obj.fsicIssuedDate ?? "",
+    defectItems: obj.defectItems?.length ? JSON.stringify(obj.defectItems) : "",
+    assessedTotal: obj.assessment?.total ?? "",
+  }),
+  clearance: (obj = {}) => ({
+    ...pickAllowedClearanceFields(obj),
+    assessedTotal: obj.assessment?.total ?? "",
+  }),
+  document: (obj = {}) => ({
+    ...pickAllowedDocumentFields(obj),
+    docType: obj.docType ?? "",
+  }),
+};
+
+// generated on every pick, so never a real change
+const HISTORY_IGNORED_FIELDS = ["id", "createdAt"];
+
+const diffFields = (kind, before, after) => {
+  const pick = HISTORY_PICKERS[kind];
+  const a = before ? pick(before) : {};
+  const b = after ? pick(after) : {};
+  const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+
+  return [...fields]
+    .filter((field) => !HISTORY_IGNORED_FIELDS.includes(field))
+    .filter((field) => normalize(a[field]) !== normalize(b[field]))
+    .map((field) => ({ field, from: a[field] ?? "", to: b[field] ?? "" }));
 };
 
-const findClearanceById = async (id) => {
-  if (!fdb) return null;
+const getActor = (req) => normalize(req?.user?.username) || "system";
 
-  const snap = await fdb.collection("clearances").doc(String(id)).get();
-  if (!snap.exists) return null;
+const buildHistoryEntry = (req, kind, action, before, after) => {
+  const subject = after || before || {};
+  return {
+    id: makeId(),
+    entityType: kind,
+    entityId: String(subject.id || ""),
+    entityKey: normalizeEntityKey(subject.entityKey || ""),
+    action,
+    actor: getActor(req),
+    at: new Date().toISOString(),
+    changes: diffFields(kind, before, after),
+  };
+};
 
-  return { id: snap.id, ...snap.data() };
+// history must never block the write it describes
+const logHistory = async (req, kind, action, before, after) => {
+  try {
+    const entry = buildHistoryEntry(req, kind, action, before, after);
+    if (action === "update" && !entry.changes.length) return null;
+    await store.set("history", entry.id, entry);
+    return entry;
+  } catch (e) {
+    console.error(`History write failed (${kind} ${action}):`, e);
+    return null;
+  }
 };
 
-const getAllClearances = async () => {
-  if (!fdb) return [];
+const getHistory = async (kind, id) => {
+  const items = await store.list("history", {
+    where: { entityType: kind, entityId: String(id) },
+  });
+
+  return items.sort((a, b) => String(b.at || "").localeCompare(String(a.at || "")));
+};
 
-  const snap = await fdb.collection("clearances").get();
-  return snap.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+const sendHistory = (kind) => async (req, res) => {
+  try {
+    res.json(await getHistory(kind, req.params.id));
+  } catch (e) {
+    console.error(`GET ${kind} history error:`, e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch history.",
+    });
+  }
 };
 
 // -----------------------------
 // PDF
 // -----------------------------
+const TEMPLATES_DIR = path.join(__dirname, "templates");
+
 const findSoffice = () => {
   const envPath = process.env.SOFFICE_PATH;
   if (envPath && fs.existsSync(envPath)) return envPath;
@@ -494,41 +842,24 @@ const findSoffice = () => {
   return null;
 };
 
-const generatePDF = (record, templateFile, filenameBase, res) => {
-  const templatePath = path.join(__dirname, "templates", templateFile);
-
-  if (!fs.existsSync(templatePath)) {
-    return res
-      .status(404)
-      .send(`Template not found: ${templateFile} (path=${templatePath})`);
-  }
-
-  const soffice = findSoffice();
-  if (!soffice) {
-    return res
-      .status(500)
-      .send("LibreOffice not found (soffice). Use Docker install libreoffice.");
-  }
-
-  const stamp = `${Date.now()}-${Math.floor(Math.random() * 1e9)}`;
-  const outDir = path.join(os.tmpdir(), "bfp_pdf_out");
-  if (!fs.existsSync(outDir)) fs.mkdirSync(outDir, { recursive: true });
+// every placeholder a template can use; unknown tags render blank
+// open structured defects, in the order they were recorded
+const openDefectItems = (record = {}) =>
+  (Array.isArray(record.defectItems) ? record.defectItems : []).filter((d) => !d.resolved);
 
-  const outputDocx = path.join(outDir, `${filenameBase}-${stamp}.docx`);
+// tags used inside the {#OPEN_DEFECTS} loop
+const DEFECT_ITEM_TAGS = ["NO", "CATEGORY", "CODE_REF", "DESCRIPTION", "DEADLINE", "BASIS"];
 
-  try {
-    const content = fs.readFileSync(templatePath, "binary");
-    const zip = new PizZip(content);
+// pesos with thousands separators and centavos, e.g. 1,250.00
+const formatAmount = (n) =>
+  Number(n || 0).toLocaleString("en-US", { minimumFractionDigits: 2, maximumFractionDigits: 2 });
 
-    const doc = new Docxtemplater(zip, {
-      paragraphLoop: true,
-      linebreaks: true,
-      nullGetter: () => "",
-    });
+// tags used inside the {#FEE_LINES} loop of the Order of Payment
+const FEE_LINE_TAGS = ["NO", "LABEL", "AMOUNT"];
 
-    const view = {
-      // record/document fields
-FSIC_NUMBER:
+const buildTemplateView = (record = {}) => ({
+  // record/document fields
+  FSIC_NUMBER:
     record.fsicNo ||
     record.FSIC_NUMBER ||
     record.fsicNumber ||
@@ -538,622 +869,6172 @@ FSIC_NUMBER:
     record.fsicAppNo ||
     record.FSIC_APP_NO ||
     "",
-    
-      DATE_INSPECTED: toLongDate(
-        record.DATE_INSPECTED || record.dateInspected || ""
-      ),
-
-      NAME_OF_ESTABLISHMENT:
-        record.NAME_OF_ESTABLISHMENT ||
-        record.ESTABLISHMENT_NAME ||
-        record.establishmentName ||
-        "",
-
-      NAME_OF_OWNER:
-        record.NAME_OF_OWNER || record.OWNERS_NAME || record.ownerName || "",
-
-      ADDRESS:
-        record.ADDRESS || record.BUSSINESS_ADDRESS || record.businessAddress || "",
-
-      FLOOR_AREA: record.FLOOR_AREA || record.floorArea || "",
-      BLDG_DESCRIPTION:
-        record.BLDG_DESCRIPTION || record.BUILDING_DESC || record.buildingDesc || "",
-      FSIC_VALIDITY: toLongDate(
-        record.FSIC_VALIDITY || record.fsicValidity || ""
-      ),
-      OR_NUMBER: record.OR_NUMBER || record.orNumber || "",
-      OR_DATE: toLongDate(record.OR_DATE || record.orDate || ""),
-      OR_AMOUNT: record.OR_AMOUNT || record.orAmount || "",
-
-      IO_NUMBER: record.IO_NUMBER || record.ioNumber || "",
-      IO_DATE: toLongDate(record.IO_DATE || record.ioDate || ""),
-      TAXPAYER: record.TAXPAYER || record.OWNERS_NAME || record.ownerName || "",
-      TRADE_NAME:
-        record.TRADE_NAME ||
-        record.ESTABLISHMENT_NAME ||
-        record.establishmentName ||
-        "",
-      CONTACT_:
-        record.CONTACT_ || record.CONTACT_NUMBER || record.contactNumber || "",
-
-      NFSI_NUMBER: record.NFSI_NUMBER || record.nfsiNumber || "",
-      NFSI_DATE: toLongDate(record.NFSI_DATE || record.nfsiDate || ""),
-
-      NTC_NUMBER: record.NTC_NUMBER || record.ntcNumber || "",
-      NTC_DATE: toLongDate(record.NTC_DATE || record.ntcDate || ""),
-
-      OWNER: record.OWNER || record.OWNERS_NAME || record.ownerName || "",
-      TEAM_LEADER: record.teamLeader || record.TEAM_LEADER || "",
-      TEAM_LEADER_SERIAL:
-        record.teamLeaderSerial || record.TEAM_LEADER_SERIAL || "",
-      INSPECTORS: record.INSPECTORS || record.inspectors || "",
-
-      INSPECTOR_1: record.inspector1 || record.INSPECTOR_1 || "",
-      INSPECTOR_1_SERIAL:
-        record.inspector1Serial || record.INSPECTOR_1_SERIAL || "",
-
-      INSPECTOR_2: record.inspector2 || record.INSPECTOR_2 || "",
-      INSPECTOR_2_SERIAL:
-        record.inspector2Serial || record.INSPECTOR_2_SERIAL || "",
-
-      INSPECTOR_3: record.inspector3 || record.INSPECTOR_3 || "",
-      INSPECTOR_3_SERIAL:
-        record.inspector3Serial || record.INSPECTOR_3_SERIAL || "",
-
-      INSPECTOR_4: record.inspector4 || record.INSPECTOR_4 || "",
-      INSPECTOR_4_SERIAL:
-        record.inspector4Serial || record.INSPECTOR_4_SERIAL || "",
-
-      INSPECTOR_5: record.inspector5 || record.INSPECTOR_5 || "",
-      INSPECTOR_5_SERIAL:
-        record.inspector5Serial || record.INSPECTOR_5_SERIAL || "",
-
-      DATE: toLongDate(new Date()),
-      CHIEF: record.CHIEF || record.chiefName || "",
-      CHIEF_POSITION: record.CHIEF_POSITION || record.chiefPosition || "",
-      MARSHAL: record.MARSHAL || record.marshalName || "",
-      MARSHAL_POSITION: record.MARSHAL_POSITION || record.marshalPosition || "",
-
-      // clearance fields
-      NAME_OF_BUILDING:
-        record.NAME_OF_BUILDING ||
-        record.establishmentName ||
-        record.ESTABLISHMENT_NAME ||
-        "",
-
-      AMOUNT_PAID:
-        record.AMOUNT_PAID ||
-        record.amountPaid ||
-        record.OR_AMOUNT ||
-        record.orAmount ||
-        "",
-
-      CHIEF_FSES: record.CHIEF_FSES || record.chiefName || "",
-      FIRE_MARSHAL: record.FIRE_MARSHAL || record.marshalName || "",
-
-      PLATE_NUMBER: record.PLATE_NUMBER || record.plateNumber || "",
-      TYPE_OF_VEHICLE: record.TYPE_OF_VEHICLE || record.typeOfVehicle || "",
-      CHASSIS_NUMBER: record.CHASSIS_NUMBER || record.chassisNumber || "",
-      MOTOR_NUMBER: record.MOTOR_NUMBER || record.motorNumber || "",
-      LICENSE_NUMBER: record.LICENSE_NUMBER || record.licenseNumber || "",
-      NAME_OF_DRIVER: record.NAME_OF_DRIVER || record.nameOfDriver || "",
-      TRAILER_NUMBER: record.TRAILER_NUMBER || record.trailerNumber || "",
-      CAPACITY: record.CAPACITY || record.capacity || "",
-
-      FLAMMABLE_1: record.FLAMMABLE_1 || record.flammable1 || "",
-      CAPACITY_1: record.CAPACITY_1 || record.capacity1 || "",
-      FLAMMABLE_2: record.FLAMMABLE_2 || record.flammable2 || "",
-      CAPACITY_2: record.CAPACITY_2 || record.capacity2 || "",
-      FLAMMABLE_3: record.FLAMMABLE_3 || record.flammable3 || "",
-      CAPACITY_3: record.CAPACITY_3 || record.capacity3 || "",
-      FLAMMABLE_4: record.FLAMMABLE_4 || record.flammable4 || "",
-      CAPACITY_4: record.CAPACITY_4 || record.capacity4 || "",
-
-      COMPANY_NAME: record.COMPANY_NAME || record.companyName || "",
-      JOB_ORDER_NUMBER: record.JOB_ORDER_NUMBER || record.jobOrderNumber || "",
-      NATURE_OF_JOB: record.NATURE_OF_JOB || record.natureOfJob || "",
-      PERMIT_AUTHORIZING_INDIVIDUAL:
-        record.PERMIT_AUTHORIZING_INDIVIDUAL ||
-        record.permitAuthorizingIndividual ||
-        "",
-      HOTWORK_OPERATOR: record.HOTWORK_OPERATOR || record.hotworkOperator || "",
-      FIRE_WATCH: record.FIRE_WATCH || record.fireWatch || "",
-
-      DATE_CONDUCTED: toLongDate(
-        record.DATE_CONDUCTED || record.dateConducted || ""
-      ),
-
-      OPERATOR_NAME: record.OPERATOR_NAME || record.operatorName || "",
-      OPERATION_TIME: record.OPERATION_TIME || record.operationTime || "",
-      OPERATION_DATE: toLongDate(
-        record.OPERATION_DATE || record.operationDate || ""
-      ),
-      VALID_UNTIL: toLongDate(record.VALID_UNTIL || record.validUntil || ""),
-      CONTROL_NUMBER: record.CONTROL_NUMBER || record.controlNumber || "",
-      CLEARANCE_DATE: toLongDate(
-        record.CLEARANCE_DATE || record.clearanceDate || ""
-      ),
-      CLEARANCE_VALIDITY: toLongDate(
-        record.CLEARANCE_VALIDITY || record.clearanceValidity || record.VALID_UNTIL || record.validUntil || ""
-      ),
-      ISSUED_DAY: formatIssuedDay(record.ISSUED_DAY || record.issuedDay || ""),
-      ISSUED_MONTH: record.ISSUED_MONTH || record.issuedMonth || "",
-      STORAGE_ADDRESS: record.STORAGE_ADDRESS || record.storageAddress || "",
-      OPERATION_DURATION: record.OPERATION_DURATION || record.operationDuration || "",
-      FOGGING_ADDRESS:
-  record.FOGGING_ADDRESS || record.foggingAddress || record.fogging_address || "",
-CONDUCTED_BY:
-  record.CONDUCTED_BY || record.conductedBy || record.conducted_by || "",
+
+  DATE_INSPECTED: toLongDate(
+    record.DATE_INSPECTED || record.dateInspected || ""
+  ),
+
+  NAME_OF_ESTABLISHMENT:
+    record.NAME_OF_ESTABLISHMENT ||
+    record.ESTABLISHMENT_NAME ||
+    record.establishmentName ||
+    "",
+
+  NAME_OF_OWNER:
+    record.NAME_OF_OWNER || record.OWNERS_NAME || record.ownerName || "",
+
+  ADDRESS:
+    record.ADDRESS || record.BUSSINESS_ADDRESS || record.businessAddress || "",
+
+  FLOOR_AREA: record.FLOOR_AREA || record.floorArea || "",
+  BLDG_DESCRIPTION:
+    record.BLDG_DESCRIPTION || record.BUILDING_DESC || record.buildingDesc || "",
+  FSIC_VALIDITY: toLongDate(
+    record.FSIC_VALIDITY || record.fsicValidity || ""
+  ),
+  OR_NUMBER: record.OR_NUMBER || record.orNumber || "",
+  OR_DATE: toLongDate(record.OR_DATE || record.orDate || ""),
+  OR_AMOUNT: record.OR_AMOUNT || record.orAmount || "",
+
+  IO_NUMBER: record.IO_NUMBER || record.ioNumber || "",
+  IO_DATE: toLongDate(record.IO_DATE || record.ioDate || ""),
+  TAXPAYER: record.TAXPAYER || record.OWNERS_NAME || record.ownerName || "",
+  TRADE_NAME:
+    record.TRADE_NAME ||
+    record.ESTABLISHMENT_NAME ||
+    record.establishmentName ||
+    "",
+  CONTACT_:
+    record.CONTACT_ || record.CONTACT_NUMBER || record.contactNumber || "",
+
+  NFSI_NUMBER: record.NFSI_NUMBER || record.nfsiNumber || "",
+  NFSI_DATE: toLongDate(record.NFSI_DATE || record.nfsiDate || ""),
+
+  NTC_NUMBER: record.NTC_NUMBER || record.ntcNumber || "",
+  NTC_DATE: toLongDate(record.NTC_DATE || record.ntcDate || ""),
+
+  DEFECTS:
+    record.DEFECTS ||
+    record.defects ||
+    openDefectItems(record).map((d) => d.description).join("; "),
+  HAS_OPEN_DEFECTS: openDefectItems(record).length > 0,
+  OPEN_DEFECTS: openDefectItems(record).map((d, i) => ({
+    NO: i + 1,
+    CATEGORY: d.category || "",
+    CODE_REF: d.codeRef || "",
+    DESCRIPTION: d.description || "",
+    DEADLINE: toLongDate(d.deadline || ""),
+    BASIS: [d.category, d.codeRef].filter((v) => normalize(v)).join(" – "),
+  })),
+
+  OWNER: record.OWNER || record.OWNERS_NAME || record.ownerName || "",
+  TEAM_LEADER: record.teamLeader || record.TEAM_LEADER || "",
+  TEAM_LEADER_SERIAL:
+    record.teamLeaderSerial || record.TEAM_LEADER_SERIAL || "",
+  INSPECTORS: record.INSPECTORS || record.inspectors || "",
+
+  INSPECTOR_1: record.inspector1 || record.INSPECTOR_1 || "",
+  INSPECTOR_1_SERIAL:
+    record.inspector1Serial || record.INSPECTOR_1_SERIAL || "",
+
+  INSPECTOR_2: record.inspector2 || record.INSPECTOR_2 || "",
+  INSPECTOR_2_SERIAL:
+    record.inspector2Serial || record.INSPECTOR_2_SERIAL || "",
+
+  INSPECTOR_3: record.inspector3 || record.INSPECTOR_3 || "",
+  INSPECTOR_3_SERIAL:
+    record.inspector3Serial || record.INSPECTOR_3_SERIAL || "",
+
+  INSPECTOR_4: record.inspector4 || record.INSPECTOR_4 || "",
+  INSPECTOR_4_SERIAL:
+    record.inspector4Serial || record.INSPECTOR_4_SERIAL || "",
+
+  INSPECTOR_5: record.inspector5 || record.INSPECTOR_5 || "",
+  INSPECTOR_5_SERIAL:
+    record.inspector5Serial || record.INSPECTOR_5_SERIAL || "",
+
+  DATE: toLongDate(new Date()),
+  CHIEF: record.CHIEF || record.chiefName || "",
+  CHIEF_POSITION: record.CHIEF_POSITION || record.chiefPosition || "",
+  MARSHAL: record.MARSHAL || record.marshalName || "",
+  MARSHAL_POSITION: record.MARSHAL_POSITION || record.marshalPosition || "",
+
+  // clearance fields
+  NAME_OF_BUILDING:
+    record.NAME_OF_BUILDING ||
+    record.establishmentName ||
+    record.ESTABLISHMENT_NAME ||
+    "",
+
+  AMOUNT_PAID:
+    record.AMOUNT_PAID ||
+    record.amountPaid ||
+    record.OR_AMOUNT ||
+    record.orAmount ||
+    "",
+
+  CHIEF_FSES: record.CHIEF_FSES || record.chiefName || "",
+  FIRE_MARSHAL: record.FIRE_MARSHAL || record.marshalName || "",
+
+  PLATE_NUMBER: record.PLATE_NUMBER || record.plateNumber || "",
+  TYPE_OF_VEHICLE: record.TYPE_OF_VEHICLE || record.typeOfVehicle || "",
+  CHASSIS_NUMBER: record.CHASSIS_NUMBER || record.chassisNumber || "",
+  MOTOR_NUMBER: record.MOTOR_NUMBER || record.motorNumber || "",
+  LICENSE_NUMBER: record.LICENSE_NUMBER || record.licenseNumber || "",
+  NAME_OF_DRIVER: record.NAME_OF_DRIVER || record.nameOfDriver || "",
+  TRAILER_NUMBER: record.TRAILER_NUMBER || record.trailerNumber || "",
+  CAPACITY: record.CAPACITY || record.capacity || "",
+
+  FLAMMABLE_1: record.FLAMMABLE_1 || record.flammable1 || "",
+  CAPACITY_1: record.CAPACITY_1 || record.capacity1 || "",
+  FLAMMABLE_2: record.FLAMMABLE_2 || record.flammable2 || "",
+  CAPACITY_2: record.CAPACITY_2 || record.capacity2 || "",
+  FLAMMABLE_3: record.FLAMMABLE_3 || record.flammable3 || "",
+  CAPACITY_3: record.CAPACITY_3 || record.capacity3 || "",
+  FLAMMABLE_4: record.FLAMMABLE_4 || record.flammable4 || "",
+  CAPACITY_4: record.CAPACITY_4 || record.capacity4 || "",
+
+  COMPANY_NAME: record.COMPANY_NAME || record.companyName || "",
+  JOB_ORDER_NUMBER: record.JOB_ORDER_NUMBER || record.jobOrderNumber || "",
+  NATURE_OF_JOB: record.NATURE_OF_JOB || record.natureOfJob || "",
+  PERMIT_AUTHORIZING_INDIVIDUAL:
+    record.PERMIT_AUTHORIZING_INDIVIDUAL ||
+    record.permitAuthorizingIndividual ||
+    "",
+  HOTWORK_OPERATOR: record.HOTWORK_OPERATOR || record.hotworkOperator || "",
+  FIRE_WATCH: record.FIRE_WATCH || record.fireWatch || "",
+
+  DATE_CONDUCTED: toLongDate(
+    record.DATE_CONDUCTED || record.dateConducted || ""
+  ),
+
+  OPERATOR_NAME: record.OPERATOR_NAME || record.operatorName || "",
+  OPERATION_TIME: record.OPERATION_TIME || record.operationTime || "",
+  OPERATION_DATE: toLongDate(
+    record.OPERATION_DATE || record.operationDate || ""
+  ),
+  VALID_UNTIL: toLongDate(record.VALID_UNTIL || record.validUntil || ""),
+  CONTROL_NUMBER: record.CONTROL_NUMBER || record.controlNumber || "",
+  CLEARANCE_DATE: toLongDate(
+    record.CLEARANCE_DATE || record.clearanceDate || ""
+  ),
+  CLEARANCE_VALIDITY: toLongDate(
+    record.CLEARANCE_VALIDITY || record.clearanceValidity || record.VALID_UNTIL || record.validUntil || ""
+  ),
+  ISSUED_DAY: formatIssuedDay(record.ISSUED_DAY || record.issuedDay || ""),
+  ISSUED_MONTH: record.ISSUED_MONTH || record.issuedMonth || "",
+  STORAGE_ADDRESS: record.STORAGE_ADDRESS || record.storageAddress || "",
+  OPERATION_DURATION: record.OPERATION_DURATION || record.operationDuration || "",
+  FOGGING_ADDRESS:
+    record.FOGGING_ADDRESS || record.foggingAddress || record.fogging_address || "",
+  CONDUCTED_BY:
+    record.CONDUCTED_BY || record.conductedBy || record.conducted_by || "",
 
   BRAND_OF_VEHICLE:
-  record.BRAND_OF_VEHICLE || record.brandOfVehicle || "",
+    record.BRAND_OF_VEHICLE || record.brandOfVehicle || "",
 
-ENGINE_NUMBER:
-  record.ENGINE_NUMBER || record.engineNumber || "",
+  ENGINE_NUMBER:
+    record.ENGINE_NUMBER || record.engineNumber || "",
 
-PERMIT_NUMBER:
-  record.PERMIT_NUMBER || record.permitNumber || "",
+  PERMIT_NUMBER:
+    record.PERMIT_NUMBER || record.permitNumber || "",
 
-FSIC_ISSUED:
-  record.FSIC_ISSUED || record.fsicIssued || "",
+  FSIC_ISSUED:
+    record.FSIC_ISSUED || record.fsicIssued || "",
 
-CAGE_SIZE:
-  record.CAGE_SIZE || record.cageSize || "",
+  CAGE_SIZE:
+    record.CAGE_SIZE || record.cageSize || "",
 
   OR_NUMBER:
-  record.OR_NUMBER || record.orNumber || "",
+    record.OR_NUMBER || record.orNumber || "",
 
-OR_AMOUNT:
-  record.OR_AMOUNT || record.orAmount || record.amountPaid || "",
+  OR_AMOUNT:
+    record.OR_AMOUNT || record.orAmount || record.amountPaid || "",
 
-OR_DATE:
-  toLongDate(record.OR_DATE || record.orDate || ""),
+  OR_DATE:
+    toLongDate(record.OR_DATE || record.orDate || ""),
   NAME_OF_CONTRACTOR:
-  record.NAME_OF_CONTRACTOR || record.contractorName || "",
+    record.NAME_OF_CONTRACTOR || record.contractorName || "",
+
+  SUPERVISOR:
+    record.SUPERVISOR || record.supervisor || "",
+
+  // order of payment, from the saved assessment
+  FEE_LINES: (record.assessment?.lines || []).map((line, i) => ({
+    NO: i + 1,
+    LABEL: line.label || "",
+    AMOUNT: formatAmount(line.amount),
+  })),
+  TOTAL_ASSESSED: record.assessment ? formatAmount(record.assessment.total) : "",
+  ASSESSED_DATE: toLongDate(record.assessment?.assessedAt || ""),
+  ASSESSED_BY: record.assessment?.assessedByName || record.assessment?.assessedBy || "",
+  PAYMENT_FOR: record.assessment?.subject || "",
+  PAYMENT_REFERENCE: record.assessment?.reference || "",
+
+  // verification QR ({%QR_CODE} image tag) and the link it encodes
+  QR_CODE: record.qrCode || "",
+  VERIFY_URL: record.verifyUrl || "",
+});
 
-SUPERVISOR:
-  record.SUPERVISOR || record.supervisor || "",
-    };
-    
+const PDF_OUT_DIR = path.join(os.tmpdir(), "bfp_pdf_out");
+
+// `templateFile` is a bundled template name or an absolute path to a revision
+const resolveTemplatePath = (templateFile) =>
+  path.isAbsolute(templateFile) ? templateFile : path.join(TEMPLATES_DIR, templateFile);
+
+const removeQuietly = (file) => {
+  try {
+    if (fs.existsSync(file)) fs.unlinkSync(file);
+  } catch {}
+};
+
+// {%QR_CODE} takes a base64 PNG; QR codes are made before rendering since
+// the image module loads images synchronously
+const QR_SIZE_PX = 96;
+const EMU_PER_TWIP = 635;
+const QR_PAGE_INSET_EMU = 320040; // 0.35 in
+
+const qrImageModule = () =>
+  new ImageModule({
+    centered: false,
+    fileType: "docx",
+    getImage: (value) => Buffer.from(value, "base64"),
+    getSize: () => [QR_SIZE_PX, QR_SIZE_PX],
+  });
+
+const QR_INLINE_IMAGE =
+  /<wp:inline distT="0" distB="0" distL="0" distR="0"><wp:extent cx="(\d+)" cy="(\d+)"\/><wp:effectExtent l="0" t="0" r="0" b="0"\/><wp:docPr id="2" name="Image 2" descr="image"\/>([\s\S]*?)<\/wp:inline>/g;
+
+// The image module places images inline, which would push the certificate
+// layout around, so the QR is re-anchored to float in the bottom right
+// corner of the page.
+const floatQrImage = (zip) => {
+  const file = "word/document.xml";
+  const xml = zip.file(file).asText();
+  const pgSz = xml.match(/<w:pgSz\b[^>]*>/)?.[0] || "";
+  const pageW = Number(pgSz.match(/w:w="(\d+)"/)?.[1] || 11907) * EMU_PER_TWIP;
+  const pageH = Number(pgSz.match(/w:h="(\d+)"/)?.[1] || 16839) * EMU_PER_TWIP;
+
+  const floated = xml.replace(
+    QR_INLINE_IMAGE,
+    (_, cx, cy, rest) =>
+      `<wp:anchor distT="0" distB="0" distL="0" distR="0" simplePos="0" relativeHeight="251659264" ` +
+      `behindDoc="0" locked="1" layoutInCell="1" allowOverlap="1"><wp:simplePos x="0" y="0"/>` +
+      `<wp:positionH relativeFrom="page"><wp:posOffset>${pageW - Number(cx) - QR_PAGE_INSET_EMU}</wp:posOffset></wp:positionH>` +
+      `<wp:positionV relativeFrom="page"><wp:posOffset>${pageH - Number(cy) - QR_PAGE_INSET_EMU}</wp:posOffset></wp:positionV>` +
+      `<wp:extent cx="${cx}" cy="${cy}"/><wp:effectExtent l="0" t="0" r="0" b="0"/><wp:wrapNone/>` +
+      `<wp:docPr id="9001" name="Verification QR" descr="Scan to verify"/>${rest}</wp:anchor>`
+  );
+  zip.file(file, floated);
+};
+
+const renderDocx = (record, templatePath) => {
+  const content = fs.readFileSync(templatePath, "binary");
+  const zip = new PizZip(content);
+
+  const doc = new Docxtemplater(zip, {
+    paragraphLoop: true,
+    linebreaks: true,
+    nullGetter: () => "",
+    modules: [qrImageModule()],
+  });
+
+  const view = buildTemplateView(record);
+
+  doc.render(view);
+  if (view.QR_CODE) floatQrImage(doc.getZip());
+
+  return doc.getZip().generate({ type: "nodebuffer" });
+};
+
+// -----------------------------
+// RENDER QUEUE
+// -----------------------------
+// Conversions run through a bounded pool of workers. Each worker owns its own
+// LibreOffice profile so parallel runs never fight over the profile lock. When
+// unoserver is installed every worker keeps one warm office process alive and
+// converts through it; otherwise each job starts soffice on the worker profile.
+const RENDER_WORKERS = Math.max(1, Number(process.env.RENDER_WORKERS) || 2);
+const RENDER_TIMEOUT_MS = Math.max(5000, Number(process.env.RENDER_TIMEOUT_MS) || 90000);
+const RENDER_QUEUE_MAX = Math.max(1, Number(process.env.RENDER_QUEUE_MAX) || 100);
+const RENDER_CACHE_DIR = path.join(os.tmpdir(), "bfp_pdf_cache");
+const RENDER_CACHE_MAX_FILES = Math.max(1, Number(process.env.RENDER_CACHE_MAX_FILES) || 500);
+const UNOSERVER_BASE_PORT = Number(process.env.UNOSERVER_BASE_PORT) || 2003;
+// how long a fresh unoserver may take to start listening before the job fails
+const UNOSERVER_STARTUP_MS = Number(process.env.UNOSERVER_STARTUP_MS) || 30000;
+
+const findUnoserver = () => {
+  const pick = (envPath, candidates) =>
+    [envPath, ...candidates].find((p) => p && fs.existsSync(p)) || null;
+
+  const server = pick(process.env.UNOSERVER_PATH, ["/usr/local/bin/unoserver", "/usr/bin/unoserver"]);
+  const convert = pick(process.env.UNOCONVERT_PATH, ["/usr/local/bin/unoconvert", "/usr/bin/unoconvert"]);
+
+  return server && convert ? { server, convert } : null;
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
 
-    doc.render(view);
+const canConnect = (port) =>
+  new Promise((resolve) => {
+    const socket = net.connect({ host: "127.0.0.1", port });
+    socket.once("connect", () => {
+      socket.destroy();
+      resolve(true);
+    });
+    socket.once("error", () => {
+      socket.destroy();
+      resolve(false);
+    });
+  });
 
-    const buf = doc.getZip().generate({ type: "nodebuffer" });
-    fs.writeFileSync(outputDocx, buf);
+// unoserver opens its port only once the office process is up and connected
+const waitForUnoserver = async (worker, child) => {
+  const deadline = Date.now() + UNOSERVER_STARTUP_MS;
+  while (Date.now() < deadline) {
+    if (worker.server !== child) throw new Error("unoserver exited while starting.");
+    if (await canConnect(worker.port)) return;
+    await sleep(250);
+  }
+  throw new Error(`unoserver did not start within ${Math.round(UNOSERVER_STARTUP_MS / 1000)}s.`);
+};
 
-    const command = `"${soffice}" --headless --nologo --nolockcheck --norestore --convert-to pdf "${outputDocx}" --outdir "${outDir}"`;
+const execFileWithTimeout = (file, args, timeoutMs) =>
+  new Promise((resolve, reject) => {
+    execFile(file, args, { timeout: timeoutMs, killSignal: "SIGKILL" }, (err, stdout, stderr) => {
+      if (err?.killed) {
+        const e = new Error(`Conversion timed out after ${Math.round(timeoutMs / 1000)}s.`);
+        e.timedOut = true;
+        return reject(e);
+      }
 
-    exec(command, (err, stdout, stderr) => {
       if (err) {
         console.log("LibreOffice ERROR:", err);
         console.log("stdout:", stdout);
         console.log("stderr:", stderr);
-        try {
-          if (fs.existsSync(outputDocx)) fs.unlinkSync(outputDocx);
-        } catch {}
-        return res
-          .status(500)
-          .send(
-            `PDF conversion failed. ${String(stderr || err?.message || err)}`
-          );
+        return reject(new Error(String(stderr || err?.message || err)));
       }
 
-      const expectedPdf = outputDocx.replace(/\.docx$/i, ".pdf");
-      if (!fs.existsSync(expectedPdf)) {
-        try {
-          if (fs.existsSync(outputDocx)) fs.unlinkSync(outputDocx);
-        } catch {}
-        return res.status(500).send("PDF file not produced after conversion.");
-      }
+      resolve();
+    });
+  });
 
-      res.setHeader("Content-Type", "application/pdf");
-      res.setHeader(
-        "Content-Disposition",
-        `attachment; filename="${filenameBase}.pdf"`
+const createRenderQueue = ({ size, timeoutMs, maxQueued }) => {
+  const uno = findUnoserver();
+  const queue = [];
+  const counters = {
+    completed: 0,
+    failed: 0,
+    timedOut: 0,
+    rejected: 0,
+    totalWaitMs: 0,
+    totalRunMs: 0,
+    lastRunMs: null,
+    cacheHits: 0,
+    cacheMisses: 0,
+  };
+
+  const workers = Array.from({ length: size }, (_, i) => ({
+    id: i,
+    busy: false,
+    profileUrl: pathToFileURL(path.join(os.tmpdir(), `bfp_lo_profile_${i}`)).href,
+    port: UNOSERVER_BASE_PORT + i * 2,
+    server: null,
+    ready: null,
+  }));
+
+  const stopServer = (worker) => {
+    if (worker.server) worker.server.kill("SIGKILL");
+    worker.server = null;
+    worker.ready = null;
+  };
+
+  const ensureServer = async (worker, soffice) => {
+    if (!worker.server) {
+      const child = spawn(
+        uno.server,
+        [
+          "--interface", "127.0.0.1",
+          "--port", String(worker.port),
+          "--uno-port", String(worker.port + 1),
+          "--executable", soffice,
+          "--user-installation", worker.profileUrl,
+        ],
+        { stdio: "ignore" }
       );
 
-      res.download(expectedPdf, () => {
-        try {
-          if (fs.existsSync(outputDocx)) fs.unlinkSync(outputDocx);
-        } catch {}
-        try {
-          if (fs.existsSync(expectedPdf)) fs.unlinkSync(expectedPdf);
-        } catch {}
+      child.on("exit", () => {
+        if (worker.server === child) {
+          worker.server = null;
+          worker.ready = null;
+        }
       });
-    });
-  } catch (e) {
-    console.log("PDF generation failed:", e);
+
+      worker.server = child;
+      worker.ready = waitForUnoserver(worker, child);
+    }
+
     try {
-      if (fs.existsSync(outputDocx)) fs.unlinkSync(outputDocx);
-    } catch {}
-    return res
-      .status(500)
-      .send(`PDF generation failed (templater). ${e.message}`);
-  }
-};
+      await worker.ready;
+    } catch (e) {
+      stopServer(worker);
+      throw e;
+    }
+  };
 
-// -----------------------------
-// HEALTH
-// -----------------------------
-app.get("/health", async (req, res) => {
-  const soffice = findSoffice();
-  const templatesDir = path.join(__dirname, "templates");
+  const runJob = async (worker, job) => {
+    if (uno) {
+      await ensureServer(worker, job.soffice);
+
+      try {
+        for (const docx of job.docxPaths) {
+          await execFileWithTimeout(
+            uno.convert,
+            [
+              "--host", "127.0.0.1",
+              "--port", String(worker.port),
+              "--convert-to", "pdf",
+              docx,
+              path.join(job.outDir, path.basename(docx).replace(/\.docx$/i, ".pdf")),
+            ],
+            timeoutMs
+          );
+        }
+      } catch (e) {
+        // a hung office process would fail every later job too
+        if (e.timedOut) stopServer(worker);
+        throw e;
+      }
+    } else {
+      await execFileWithTimeout(
+        job.soffice,
+        [
+          `-env:UserInstallation=${worker.profileUrl}`,
+          "--headless",
+          "--nologo",
+          "--nolockcheck",
+          "--norestore",
+          "--convert-to",
+          "pdf",
+          ...job.docxPaths,
+          "--outdir",
+          job.outDir,
+        ],
+        timeoutMs * job.docxPaths.length
+      );
+    }
 
-  let firestoreOk = false;
-  try {
-    if (fdb) {
-      await fdb.collection("_health").doc("ping").get();
-      firestoreOk = true;
+    return job.docxPaths.map((p) => {
+      const pdf = path.join(job.outDir, path.basename(p).replace(/\.docx$/i, ".pdf"));
+      return fs.existsSync(pdf) ? pdf : null;
+    });
+  };
+
+  const pump = () => {
+    for (const worker of workers) {
+      if (worker.busy || !queue.length) continue;
+
+      const job = queue.shift();
+      const startedAt = Date.now();
+      worker.busy = true;
+      counters.totalWaitMs += startedAt - job.queuedAt;
+
+      runJob(worker, job)
+        .then(
+          (result) => {
+            counters.completed++;
+            job.resolve(result);
+          },
+          (e) => {
+            counters.failed++;
+            if (e.timedOut) counters.timedOut++;
+            job.reject(e);
+          }
+        )
+        .finally(() => {
+          counters.lastRunMs = Date.now() - startedAt;
+          counters.totalRunMs += counters.lastRunMs;
+          worker.busy = false;
+          pump();
+        });
     }
-  } catch {
-    firestoreOk = false;
-  }
+  };
 
-  res.json({
-    ok: true,
-    firestoreConnected: Boolean(fdb) && firestoreOk,
-    sofficeFound: Boolean(soffice),
-    sofficePath: soffice,
-    templatesDirExists: fs.existsSync(templatesDir),
-    templates: fs.existsSync(templatesDir) ? fs.readdirSync(templatesDir) : [],
-  });
+  // Resolves to the produced PDF path for each input, or null where
+  // LibreOffice produced nothing.
+  const convert = (soffice, docxPaths, outDir) => {
+    if (queue.length >= maxQueued) {
+      counters.rejected++;
+      const e = new Error("Render queue is full. Try again shortly.");
+      e.queueFull = true;
+      return Promise.reject(e);
+    }
+
+    return new Promise((resolve, reject) => {
+      queue.push({ soffice, docxPaths, outDir, queuedAt: Date.now(), resolve, reject });
+      pump();
+    });
+  };
+
+  const stats = () => {
+    const finished = counters.completed + counters.failed;
+    return {
+      mode: uno ? "unoserver" : "soffice",
+      workers: workers.length,
+      busy: workers.filter((w) => w.busy).length,
+      queued: queue.length,
+      maxQueued,
+      timeoutMs,
+      completed: counters.completed,
+      failed: counters.failed,
+      timedOut: counters.timedOut,
+      rejected: counters.rejected,
+      avgWaitMs: finished ? Math.round(counters.totalWaitMs / finished) : null,
+      avgRunMs: finished ? Math.round(counters.totalRunMs / finished) : null,
+      lastRunMs: counters.lastRunMs,
+      cacheHits: counters.cacheHits,
+      cacheMisses: counters.cacheMisses,
+    };
+  };
+
+  const shutdown = () => workers.forEach(stopServer);
+
+  return { convert, stats, shutdown, counters };
+};
+
+const renderQueue = createRenderQueue({
+  size: RENDER_WORKERS,
+  timeoutMs: RENDER_TIMEOUT_MS,
+  maxQueued: RENDER_QUEUE_MAX,
 });
 
-// -----------------------------
-// EXCEL IMPORT HELPERS
-// -----------------------------
-const pickAny = (obj, keys = []) => {
-  for (const k of keys) {
-    const v = obj?.[k];
-    if (v !== undefined && v !== null && String(v).trim() !== "") return v;
-  }
-  return "";
+process.on("exit", () => renderQueue.shutdown());
+for (const signal of ["SIGINT", "SIGTERM"]) {
+  process.once(signal, () => process.exit(0));
+}
+
+const convertDocxToPdf = (soffice, docxPaths, outDir) =>
+  renderQueue.convert(soffice, docxPaths, outDir);
+
+// Same template file (revision files are named by revision id) and same view
+// always render the same PDF.
+const renderCacheKey = (record, templatePath) => {
+  const stat = fs.statSync(templatePath);
+  return crypto
+    .createHash("sha256")
+    .update(JSON.stringify([templatePath, stat.size, stat.mtimeMs, buildTemplateView(record)]))
+    .digest("hex");
 };
 
-const normHeader = (s) =>
-  String(s ?? "")
-    .toLowerCase()
-    .replace(/\s+/g, "")
-    .replace(/_/g, "")
-    .replace(/-/g, "");
+const pruneRenderCache = () => {
+  try {
+    const files = fs
+      .readdirSync(RENDER_CACHE_DIR)
+      .map((name) => path.join(RENDER_CACHE_DIR, name))
+      .map((file) => ({ file, at: fs.statSync(file).mtimeMs }))
+      .sort((a, b) => b.at - a.at);
 
-const excelDateToISO = (v) => {
-  if (typeof v === "string") return v;
-  if (typeof v === "number") {
-    const dt = new Date(Math.round((v - 25569) * 86400 * 1000));
-    if (!isNaN(dt.getTime())) {
-      const y = dt.getFullYear();
-      const m = String(dt.getMonth() + 1).padStart(2, "0");
-      const d = String(dt.getDate()).padStart(2, "0");
-      return `${y}-${m}-${d}`;
-    }
+    files.slice(RENDER_CACHE_MAX_FILES).forEach((f) => removeQuietly(f.file));
+  } catch (e) {
+    console.log("Render cache prune failed:", e.message);
   }
-  return String(v ?? "");
 };
 
-const mapExcelRowToRecord = (row = {}) => {
-  const headerMap = {};
-  for (const k of Object.keys(row)) {
-    headerMap[normHeader(k)] = row[k];
-  }
+// Renders `jobs` ([{ record, templatePath }]) to PDFs in the render cache.
+// Resolves to one result per job: { pdf, cached } or { error, stage }
+// where stage is "templater", "conversion" or "missing". Each PDF is read in
+// the same tick it is found or stored, so a prune from another request can
+// never remove it before it is read.
+const renderPdfs = async (soffice, jobs) => {
+  const results = new Array(jobs.length);
+  const misses = new Map();
 
-  const get = (...variants) => pickAny(headerMap, variants.map(normHeader));
+  fs.mkdirSync(RENDER_CACHE_DIR, { recursive: true });
 
-  const rec = {
-    id: makeId(),
-    createdAt: new Date().toISOString(),
+  jobs.forEach((job, i) => {
+    try {
+      const key = renderCacheKey(job.record, job.templatePath);
+      const cachedPdf = path.join(RENDER_CACHE_DIR, `${key}.pdf`);
+
+      if (fs.existsSync(cachedPdf)) {
+        const now = new Date();
+        fs.utimesSync(cachedPdf, now, now);
+        renderQueue.counters.cacheHits++;
+        results[i] = { pdf: fs.readFileSync(cachedPdf), cached: true };
+        return;
+      }
 
-    appno: String(
-      get("appno", "applicationno", "application#", "applicationnumber") || ""
-    ),
-    fsicAppNo: String(
-      get("fsicappno", "fsicno", "fsicnumber", "fsicapp#", "fsicapp") || ""
-    ),
-    natureOfInspection: String(
-      get("natureofinspection", "inspection", "nature") || ""
-    ),
-    ownerName: String(get("owner", "ownername", "ownersname", "taxpayer") || ""),
-    establishmentName: String(
-      get("establishment", "establishmentname", "tradename", "nameofestablishment") ||
-        ""
-    ),
-    businessAddress: String(
-      get("businessaddress", "address", "bussinessaddress") || ""
-    ),
-    contactNumber: String(get("contactnumber", "contact", "mobile") || ""),
-    dateInspected: excelDateToISO(get("dateinspected", "date") || ""),
+      if (!misses.has(key)) misses.set(key, { job, indexes: [] });
+      misses.get(key).indexes.push(i);
+    } catch (e) {
+      results[i] = { error: e.message, stage: "templater" };
+    }
+  });
 
-    ioNumber: String(get("ionumber", "io#", "io") || ""),
-    ioDate: excelDateToISO(get("iodate") || ""),
+  if (!misses.size) return results;
 
-    nfsiNumber: String(get("nfsinumber", "nfsi#", "nfsi") || ""),
-    nfsiDate: excelDateToISO(get("nfsidate") || ""),
+  const stamp = `${Date.now()}-${Math.floor(Math.random() * 1e9)}`;
+  const workDir = path.join(PDF_OUT_DIR, `render-${stamp}`);
+  fs.mkdirSync(workDir, { recursive: true });
 
-    ntcNumber: String(get("ntcnumber", "ntc#", "ntc") || ""),
-    ntcDate: excelDateToISO(get("ntcdate") || ""),
+  try {
+    const pending = [];
+
+    for (const [key, miss] of misses) {
+      renderQueue.counters.cacheMisses++;
+      try {
+        const docxPath = path.join(workDir, `${key}.docx`);
+        fs.writeFileSync(docxPath, renderDocx(miss.job.record, miss.job.templatePath));
+        pending.push({ key, miss, docxPath });
+      } catch (e) {
+        miss.indexes.forEach((i) => (results[i] = { error: e.message, stage: "templater" }));
+      }
+    }
 
-    fsicValidity: String(get("fsicvalidity", "validity") || ""),
-    defects: String(get("defects", "violations") || ""),
-    inspectors: String(get("inspectors", "inspector") || ""),
+    if (!pending.length) return results;
 
-    chiefName: String(get("chiefname", "chief") || ""),
-    chiefPosition: String(get("chiefposition", "position") || ""),
-    marshalName: String(get("marshalname", "marshal") || ""),
-    marshalPosition: String(get("marshalposition", "marshalposition") || ""),
+    let pdfPaths;
+    try {
+      pdfPaths = await convertDocxToPdf(soffice, pending.map((p) => p.docxPath), workDir);
+    } catch (e) {
+      pending.forEach((p) =>
+        p.miss.indexes.forEach(
+          (i) => (results[i] = { error: e.message, stage: "conversion", queueFull: Boolean(e.queueFull) })
+        )
+      );
+      return results;
+    }
+
+    pending.forEach((p, n) => {
+      let result = { error: "PDF file not produced after conversion.", stage: "missing" };
+
+      if (pdfPaths[n]) {
+        const cachedPdf = path.join(RENDER_CACHE_DIR, `${p.key}.pdf`);
+        fs.renameSync(pdfPaths[n], cachedPdf);
+        result = { pdf: fs.readFileSync(cachedPdf), cached: false };
+      }
+
+      p.miss.indexes.forEach((i) => (results[i] = result));
+    });
+
+    pruneRenderCache();
+    return results;
+  } finally {
+    fs.rmSync(workDir, { recursive: true, force: true });
+  }
+};
+
+// -----------------------------
+// OUTPUT OPTIONS
+// -----------------------------
+// ?format=pdf|docx, ?disposition=attachment|inline, ?mode=final|draft|copy
+const OUTPUT_FORMATS = ["pdf", "docx"];
+const OUTPUT_DISPOSITIONS = ["attachment", "inline"];
+const OUTPUT_WATERMARKS = { final: null, draft: "DRAFT", copy: "COPY" };
+const DOCX_MIME = "application/vnd.openxmlformats-officedocument.wordprocessingml.document";
+
+const readOutputOptions = (source = {}) => {
+  const pick = (value, allowed, fallback) => {
+    const v = String(value || fallback).toLowerCase().trim();
+    return allowed.includes(v) ? v : null;
   };
 
-  rec.fsicAppNo = String(rec.fsicAppNo || "").toUpperCase().trim();
-  rec.ownerName = String(rec.ownerName || "").toUpperCase().trim();
-  rec.establishmentName = String(rec.establishmentName || "").toUpperCase().trim();
-  rec.businessAddress = String(rec.businessAddress || "").toUpperCase().trim();
+  const options = {
+    format: pick(source.format, OUTPUT_FORMATS, "pdf"),
+    disposition: pick(source.disposition, OUTPUT_DISPOSITIONS, "attachment"),
+    mode: pick(source.mode, Object.keys(OUTPUT_WATERMARKS), "final"),
+  };
 
-  return ensureEntityKey(rec);
+  if (!options.format) return { error: "Format must be pdf or docx." };
+  if (!options.disposition) return { error: "Disposition must be attachment or inline." };
+  if (!options.mode) return { error: "Mode must be final, draft or copy." };
+
+  return options;
 };
 
-const readExcelRows = (req) => {
-  if (!req.file) return { error: "No file uploaded." };
+// drafts are previews for review before signing, so inspectors may print
+// them as PDF. A DOCX draft keeps the full role: its watermark is a shape
+// anyone can delete in Word, leaving an editable certificate.
+const printRole = (role) => (req) => {
+  const { mode, format } = readOutputOptions(req.query);
+  return mode === "draft" && format === "pdf" ? "inspector" : role;
+};
 
-  const filename = String(req.file.originalname || "").toLowerCase();
-  if (!filename.endsWith(".xlsx") && !filename.endsWith(".xls")) {
-    return { error: "Invalid file. Upload .xlsx or .xls only." };
+const stampPdfWatermark = async (buf, text) => {
+  const pdf = await PDFDocument.load(buf);
+  const font = await pdf.embedFont(StandardFonts.HelveticaBold);
+
+  for (const page of pdf.getPages()) {
+    const { width, height } = page.getSize();
+    const angle = Math.atan2(height, width);
+    const diagonal = Math.hypot(width, height);
+    const size = Math.min((diagonal * 0.7) / font.widthOfTextAtSize(text, 1), height / 4);
+    const half = font.widthOfTextAtSize(text, size) / 2;
+    const rise = size * 0.35;
+
+    page.drawText(text, {
+      x: width / 2 - half * Math.cos(angle) + rise * Math.sin(angle),
+      y: height / 2 - half * Math.sin(angle) - rise * Math.cos(angle),
+      size,
+      font,
+      color: rgb(0.6, 0.6, 0.6),
+      opacity: 0.3,
+      rotate: degrees((angle * 180) / Math.PI),
+    });
   }
 
-  const wb = xlsx.read(req.file.buffer, { type: "buffer" });
-  const sheetName = wb.SheetNames?.[0];
-  if (!sheetName) return { error: "Excel file has no sheets." };
+  return Buffer.from(await pdf.save());
+};
 
-  const ws = wb.Sheets[sheetName];
-  const rows = xlsx.utils.sheet_to_json(ws, { defval: "" });
+const VML_NAMESPACES = {
+  "xmlns:v": "urn:schemas-microsoft-com:vml",
+  "xmlns:o": "urn:schemas-microsoft-com:office:office",
+};
 
-  if (!rows.length) return { error: "Excel sheet is empty." };
-  return { rows, sheetName };
+const docxWatermarkRun = (text) =>
+  `<w:r><w:pict><v:shape id="BfpWatermark" o:spt="136" o:allowincell="f" ` +
+  `style="position:absolute;margin-left:0;margin-top:0;width:468pt;height:117pt;rotation:315;` +
+  `z-index:-251654144;mso-position-horizontal:center;mso-position-horizontal-relative:margin;` +
+  `mso-position-vertical:center;mso-position-vertical-relative:margin" fillcolor="silver" stroked="f">` +
+  `<v:fill opacity=".5"/><v:path textpathok="t"/>` +
+  `<v:textpath on="t" fitshape="t" style="font-family:&quot;Arial&quot;;font-size:1pt" string="${text}"/>` +
+  `</v:shape></w:pict></w:r>`;
+
+// Word repeats header content on every page, so the watermark goes into each
+// header; templates without headers get it on the first body paragraph.
+const stampDocxWatermark = (buf, text) => {
+  const zip = new PizZip(buf);
+  const headers = Object.keys(zip.files).filter((name) => /^word\/header\d*\.xml$/.test(name));
+  const parts = headers.length ? headers : ["word/document.xml"];
+
+  for (const part of parts) {
+    let xml = zip.file(part).asText();
+    if (!xml.includes("</w:p>")) continue;
+
+    xml = xml.replace(/<(w:hdr|w:document)\b[^>]*>/, (tag) => {
+      const missing = Object.entries(VML_NAMESPACES)
+        .filter(([attr]) => !tag.includes(`${attr}=`))
+        .map(([attr, uri]) => ` ${attr}="${uri}"`)
+        .join("");
+      return tag.replace(/>$/, `${missing}>`);
+    });
+
+    zip.file(part, xml.replace("</w:p>", `${docxWatermarkRun(text)}</w:p>`));
+  }
+
+  return zip.generate({ type: "nodebuffer" });
+};
+
+const sendRendered = (res, buf, { contentType, filename, disposition }) => {
+  res.setHeader("Content-Type", contentType);
+  res.setHeader("Content-Disposition", `${disposition}; filename="${filename}"`);
+  res.send(buf);
+};
+
+// `options.issuance` ({ req, kind, def, revisionId }) registers every PDF
+// that is not a draft in the issuance registry before it is sent.
+// `options.pin` (from resolveTemplateForEntity) runs once the render worked.
+const generatePDF = async (record, templateFile, filenameBase, res, options = {}) => {
+  const { format = "pdf", disposition = "attachment", mode = "final", issuance, pin } = options;
+  const watermark = OUTPUT_WATERMARKS[mode];
+  const filename = `${filenameBase}${watermark ? `-${mode}` : ""}.${format}`;
+  const templatePath = resolveTemplatePath(templateFile);
+
+  if (!fs.existsSync(templatePath)) {
+    return res
+      .status(404)
+      .send(`Template not found: ${templateFile} (path=${templatePath})`);
+  }
+
+  if (format === "docx") {
+    try {
+      let buf = renderDocx(record, templatePath);
+      if (watermark) buf = stampDocxWatermark(buf, watermark);
+      await pin?.();
+      return sendRendered(res, buf, { contentType: DOCX_MIME, filename, disposition });
+    } catch (e) {
+      console.log("DOCX generation failed:", e);
+      return res.status(500).send(`DOCX generation failed (templater). ${e.message}`);
+    }
+  }
+
+  const soffice = findSoffice();
+  if (!soffice) {
+    return res
+      .status(500)
+      .send("LibreOffice not found (soffice). Use Docker install libreoffice.");
+  }
+
+  try {
+    const [result] = await renderPdfs(soffice, [{ record, templatePath }]);
+
+    if (result.stage === "templater") {
+      return res.status(500).send(`PDF generation failed (templater). ${result.error}`);
+    }
+    if (result.queueFull) {
+      return res.status(503).send(result.error);
+    }
+    if (result.stage === "conversion") {
+      return res.status(500).send(`PDF conversion failed. ${result.error}`);
+    }
+    if (result.error) {
+      return res.status(500).send(result.error);
+    }
+
+    // the cache holds unmarked PDFs; watermarks are stamped per response
+    let buf = result.pdf;
+    if (watermark) buf = await stampPdfWatermark(buf, watermark);
+    await pin?.();
+
+    if (issuance && mode !== "draft") {
+      const entry = await registerIssuance(buf, { ...issuance, entity: record, mode, filename });
+      res.setHeader("X-Issuance-Id", entry.id);
+    }
+
+    res.setHeader("X-Render-Cache", result.cached ? "hit" : "miss");
+    sendRendered(res, buf, { contentType: "application/pdf", filename, disposition });
+  } catch (e) {
+    console.log("PDF generation failed:", e);
+    res.status(500).send(`PDF generation failed. ${e.message}`);
+  }
 };
 
 // -----------------------------
-// IMPORT
+// AUTH
 // -----------------------------
-app.post("/import/records", upload.single("file"), (req, res) => {
+// each role can do everything the roles before it can
+const ROLES = ["encoder", "inspector", "chief", "marshal", "admin"];
+
+const AUTH_TOKEN_TTL_MS =
+  (Number(process.env.AUTH_TOKEN_TTL_HOURS) || 12) * 60 * 60 * 1000;
+
+const AUTH_SECRET = (() => {
+  const secret = normalize(process.env.AUTH_SECRET);
+  if (secret) return secret;
+  console.warn("⚠️ AUTH_SECRET not set. Sessions will not survive a restart.");
+  return crypto.randomBytes(32).toString("hex");
+})();
+
+const base64url = (buf) => Buffer.from(buf).toString("base64url");
+
+const safeEqual = (a, b) => {
+  const x = Buffer.from(String(a));
+  const y = Buffer.from(String(b));
+  return x.length === y.length && crypto.timingSafeEqual(x, y);
+};
+
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(String(password), salt, 64).toString("hex");
+  return `scrypt$${salt}$${hash}`;
+};
+
+const verifyPassword = (password, stored) => {
+  const [scheme, salt, hash] = String(stored || "").split("$");
+  if (scheme !== "scrypt" || !salt || !hash) return false;
+  const candidate = crypto.scryptSync(String(password), salt, 64).toString("hex");
+  return safeEqual(candidate, hash);
+};
+
+const hmac = (value) =>
+  crypto.createHmac("sha256", AUTH_SECRET).update(value).digest("base64url");
+
+const signToken = (user) => {
+  const payload = base64url(
+    JSON.stringify({
+      sub: user.id,
+      username: user.username,
+      role: user.role,
+      exp: Date.now() + AUTH_TOKEN_TTL_MS,
+    })
+  );
+  return `${payload}.${hmac(payload)}`;
+};
+
+const verifyToken = (token) => {
+  const [payload, sig] = String(token || "").split(".");
+  if (!payload || !sig || !safeEqual(hmac(payload), sig)) return null;
+
   try {
-    const { rows, sheetName, error } = readExcelRows(req);
-    if (error) return res.status(400).json({ success: false, message: error });
+    const data = JSON.parse(Buffer.from(payload, "base64url").toString("utf-8"));
+    if (!data.exp || data.exp < Date.now()) return null;
+    return data;
+  } catch {
+    return null;
+  }
+};
+
+const publicUser = ({ passwordHash, ...user }) => user;
+
+const findUserByUsername = async (username) => {
+  const [user] = await store.list("users", {
+    where: { username: normalize(username).toLowerCase() },
+    limit: 1,
+  });
+  return user || null;
+};
+
+// PDF links are opened in a new tab, so the token may also come as ?token=
+const readToken = (req) => {
+  const header = String(req.get("Authorization") || "");
+  if (header.toLowerCase().startsWith("bearer ")) return header.slice(7).trim();
+  return normalize(req.query?.token);
+};
+
+const hasRole = (user, minRole) =>
+  ROLES.indexOf(user?.role) >= ROLES.indexOf(minRole);
+
+// `minRole` may be a function of the request for routes whose access depends
+// on the query (e.g. draft prints). The token only proves who is calling: the
+// user is read again on every request, so deactivating, deleting or demoting
+// someone takes effect at once instead of when their token expires.
+const requireRole = (minRole) => async (req, res, next) => {
+  try {
+    const session = verifyToken(readToken(req));
+    const user = session ? await store.get("users", session.sub) : null;
+    if (!user || user.active === false) {
+      return res.status(401).json({
+        success: false,
+        message: "Login required.",
+      });
+    }
+
+    const needed = typeof minRole === "function" ? minRole(req) : minRole;
+    if (!hasRole(user, needed)) {
+      return res.status(403).json({
+        success: false,
+        message: `Requires ${needed} access.`,
+      });
+    }
+
+    req.user = { ...session, username: user.username, role: user.role };
+    next();
+  } catch (e) {
+    console.error("Auth check error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to check access.",
+    });
+  }
+};
+
+const seedAdminUser = async () => {
+  const username = normalize(process.env.ADMIN_USERNAME).toLowerCase();
+  const password = String(process.env.ADMIN_PASSWORD || "");
+  if (!username || !password) return;
+
+  if ((await store.list("users", { limit: 1 })).length) return;
 
-    const current = (readJSON(DATA_FILE) || []).map(ensureEntityKey);
-    const mapped = rows.map(mapExcelRowToRecord);
-    const toAdd = mapped.filter(
-      (r) => normalize(r.fsicAppNo) && normalize(r.ownerName)
+  const user = {
+    id: makeId(),
+    username,
+    displayName: username,
+    role: "admin",
+    active: true,
+    passwordHash: hashPassword(password),
+    createdAt: new Date().toISOString(),
+  };
+  await store.set("users", user.id, user);
+  console.log(`✅ Seeded admin user "${username}"`);
+};
+
+app.post("/auth/login", async (req, res) => {
+  try {
+    const username = normalize(req.body?.username);
+    const password = String(req.body?.password || "");
+
+    if (!username || !password) {
+      return res.status(400).json({ ok: false, message: "Missing username or password" });
+    }
+
+    const user = await findUserByUsername(username);
+    if (!user || user.active === false || !verifyPassword(password, user.passwordHash)) {
+      return res.status(401).json({ ok: false, message: "Incorrect username or password" });
+    }
+
+    res.json({ ok: true, token: signToken(user), user: publicUser(user) });
+  } catch (e) {
+    console.error("POST /auth/login error:", e);
+    res.status(500).json({ ok: false, message: "Failed to log in." });
+  }
+});
+
+app.get("/auth/me", requireRole("encoder"), (req, res) => {
+  res.json({ ok: true, user: req.user });
+});
+
+app.post("/auth/password", requireRole("encoder"), async (req, res) => {
+  try {
+    const current = String(req.body?.currentPassword || "");
+    const next = String(req.body?.newPassword || "");
+
+    if (next.length < 8) {
+      return res.status(400).json({
+        success: false,
+        message: "New password must be at least 8 characters.",
+      });
+    }
+
+    const user = await store.get("users", req.user.sub);
+    if (!user || !verifyPassword(current, user.passwordHash)) {
+      return res.status(401).json({
+        success: false,
+        message: "Current password is incorrect.",
+      });
+    }
+
+    await store.set(
+      "users",
+      user.id,
+      { passwordHash: hashPassword(next), updatedAt: new Date().toISOString() },
+      { merge: true }
     );
 
-    writeJSON(DATA_FILE, [...current, ...toAdd]);
+    res.json({ success: true });
+  } catch (e) {
+    console.error("POST /auth/password error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to change password.",
+    });
+  }
+});
+
+// -----------------------------
+// USERS ROUTES
+// -----------------------------
+app.get("/users", requireRole("admin"), async (req, res) => {
+  try {
+    const items = (await store.list("users"))
+      .map(publicUser)
+      .sort((a, b) => String(a.username).localeCompare(String(b.username)));
 
-    res.json({
-      success: true,
-      imported: toAdd.length,
-      skipped: mapped.length - toAdd.length,
-      sheet: sheetName,
+    res.json(items);
+  } catch (e) {
+    console.error("GET /users error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch users.",
+    });
+  }
+});
+
+app.post("/users", requireRole("admin"), async (req, res) => {
+  try {
+    const username = normalize(req.body?.username).toLowerCase();
+    const password = String(req.body?.password || "");
+    const role = normalize(req.body?.role).toLowerCase();
+
+    if (!username || password.length < 8) {
+      return res.status(400).json({
+        success: false,
+        message: "Username and a password of at least 8 characters are required.",
+      });
+    }
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `Role must be one of: ${ROLES.join(", ")}.`,
+      });
+    }
+
+    if (await findUserByUsername(username)) {
+      return res.status(409).json({
+        success: false,
+        message: "Username is already taken.",
+      });
+    }
+
+    const user = {
+      id: makeId(),
+      username,
+      displayName: normalize(req.body?.displayName) || username,
+      role,
+      active: true,
+      passwordHash: hashPassword(password),
+      createdAt: new Date().toISOString(),
+    };
+    await store.set("users", user.id, user);
+
+    res.json({ success: true, data: publicUser(user) });
+  } catch (e) {
+    console.error("POST /users error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to create user.",
+    });
+  }
+});
+
+app.put("/users/:id", requireRole("admin"), async (req, res) => {
+  try {
+    const existing = await store.get("users", req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found.",
+      });
+    }
+
+    const updates = { updatedAt: new Date().toISOString() };
+
+    if (req.body?.role !== undefined) {
+      const role = normalize(req.body.role).toLowerCase();
+      if (!ROLES.includes(role)) {
+        return res.status(400).json({
+          success: false,
+          message: `Role must be one of: ${ROLES.join(", ")}.`,
+        });
+      }
+      updates.role = role;
+    }
+
+    if (req.body?.displayName !== undefined) {
+      updates.displayName = normalize(req.body.displayName);
+    }
+
+    if (req.body?.active !== undefined) updates.active = Boolean(req.body.active);
+
+    if (req.body?.password) {
+      if (String(req.body.password).length < 8) {
+        return res.status(400).json({
+          success: false,
+          message: "Password must be at least 8 characters.",
+        });
+      }
+      updates.passwordHash = hashPassword(req.body.password);
+    }
+
+    await store.set("users", existing.id, updates, { merge: true });
+
+    res.json({ success: true, data: publicUser({ ...existing, ...updates }) });
+  } catch (e) {
+    console.error("PUT /users/:id error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update user.",
+    });
+  }
+});
+
+app.delete("/users/:id", requireRole("admin"), async (req, res) => {
+  try {
+    if (String(req.params.id) === String(req.user.sub)) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot delete your own account.",
+      });
+    }
+
+    if (!(await store.get("users", req.params.id))) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found.",
+      });
+    }
+
+    await store.delete("users", req.params.id);
+
+    res.json({ success: true });
+  } catch (e) {
+    console.error("DELETE /users/:id error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete user.",
+    });
+  }
+});
+
+// -----------------------------
+// HEALTH
+// -----------------------------
+app.get("/health", async (req, res) => {
+  const soffice = findSoffice();
+  const templatesDir = TEMPLATES_DIR;
+
+  let firestoreOk = false;
+  try {
+    if (fdb) {
+      await fdb.collection("_health").doc("ping").get();
+      firestoreOk = true;
+    }
+  } catch {
+    firestoreOk = false;
+  }
+
+  let storageOk = false;
+  try {
+    await store.ping();
+    storageOk = true;
+  } catch {
+    storageOk = false;
+  }
+
+  res.json({
+    ok: true,
+    storageBackend: store.name,
+    storageOk,
+    firestoreConnected: Boolean(fdb) && firestoreOk,
+    sofficeFound: Boolean(soffice),
+    sofficePath: soffice,
+    templatesDirExists: fs.existsSync(templatesDir),
+    templates: fs.existsSync(templatesDir) ? fs.readdirSync(templatesDir) : [],
+    render: renderQueue.stats(),
+  });
+});
+
+// -----------------------------
+// TEMPLATE REGISTRY
+// -----------------------------
+// One entry per printable type. `entity` is what the type is rendered from:
+// record certificates, clearance certificates, or documents (IO / NFSI /
+// reinspection), which can also be printed straight from a record.
+const CERTIFICATE_TYPES = {
+  owner: { entity: "record", template: "fsic-owner.docx", label: "FSIC (Owner's Copy)" },
+  bfp: { entity: "record", template: "fsic-bfp.docx", label: "FSIC (BFP Copy)" },
+  "owner-new": { entity: "record", template: "fsic-owner-new.docx", label: "FSIC New (Owner's Copy)" },
+  "bfp-new": { entity: "record", template: "fsic-bfp-new.docx", label: "FSIC New (BFP Copy)" },
+
+  io: { entity: "document", template: "officers.docx", label: "Inspection Order" },
+  nfsi: { entity: "document", template: "nfsi-form.docx", label: "Notice of Fire Safety Inspection" },
+  reinspection: { entity: "document", template: "reinspection.docx", label: "Reinspection Order" },
+
+  // printed from the fee assessment of a record or clearance
+  payment: { entity: "payment", template: "order-of-payment.docx", label: "Order of Payment" },
+
+  // validity: { months } counts from the `from` date fields (clearanceDate by
+  // default); { job: true } lasts for the job, so validUntil is entered by hand
+  conveyance: {
+    entity: "clearance",
+    template: "FSED-38F-Conveyance.docx",
+    label: "Conveyance Clearance",
+    validity: { months: 12 },
+  },
+  storage: {
+    entity: "clearance",
+    template: "FSED-37F-Storage.docx",
+    label: "Storage Clearance",
+    validity: { months: 12 },
+  },
+  hotworks: {
+    entity: "clearance",
+    template: "FSED-34F-Hot-Works.docx",
+    label: "Hot Works Clearance",
+    validity: { job: true },
+  },
+  firedrill: {
+    entity: "clearance",
+    template: "FSED-44F-Fire-Drill-Rev02.docx",
+    label: "Fire Drill Certificate",
+    validity: { months: 12, from: ["dateConducted", "fireDrillDate", "clearanceDate"] },
+  },
+  fumigation: {
+    entity: "clearance",
+    template: "FSED-41F-Fumigation.docx",
+    label: "Fumigation Clearance",
+    validity: { job: true },
+  },
+  seminar: {
+    entity: "clearance",
+    template: "FSED-Seminar.docx",
+    label: "Fire Safety Seminar Certificate",
+    validity: { months: 12 },
+  },
+  firesafety: {
+    entity: "clearance",
+    template: "FSED-Fire-Safety.docx",
+    label: "Fire Safety Clearance",
+    validity: { months: 12 },
+  },
+  fireworks: {
+    entity: "clearance",
+    template: "FSED-Fireworks-Exhibition.docx",
+    label: "Fireworks Exhibition Clearance",
+    validity: { job: true },
+  },
+};
+
+// returns null when `type` is unknown or belongs to another entity
+const getCertificateType = (entity, type) => {
+  const key = String(type || "").toLowerCase().trim();
+  const def = CERTIFICATE_TYPES[key];
+  if (!def || def.entity !== entity) return null;
+  return { type: key, ...def };
+};
+
+const placeholderCache = new Map();
+
+// Tags are read from the text of the body, headers and footers with the XML
+// stripped, so tags Word split across runs are still found.
+const extractPlaceholders = (templatePath) => {
+  const { mtimeMs } = fs.statSync(templatePath);
+  const cached = placeholderCache.get(templatePath);
+  if (cached?.mtimeMs === mtimeMs) return cached.tags;
+
+  const zip = new PizZip(fs.readFileSync(templatePath, "binary"));
+  const parts = Object.keys(zip.files).filter((name) =>
+    /^word\/(document|header\d*|footer\d*)\.xml$/.test(name)
+  );
+
+  const tags = new Set();
+  for (const name of parts) {
+    const text = zip.file(name).asText().replace(/<[^>]+>/g, "");
+    for (const m of text.matchAll(/\{([^{}]+)\}/g)) {
+      const tag = m[1].trim();
+      if (tag.startsWith("/")) continue; // loop close
+      const cleanTag = tag.replace(/^[#^%]+/, "");
+      if (/^[A-Za-z_][\w.]*$/.test(cleanTag)) tags.add(cleanTag);
+    }
+  }
+
+  const result = [...tags];
+  placeholderCache.set(templatePath, { mtimeMs, tags: result });
+  return result;
+};
+
+app.get("/templates", requireRole("encoder"), async (req, res) => {
+  try {
+    const items = [];
+
+    for (const [type, def] of Object.entries(CERTIFICATE_TYPES)) {
+      const active = await getActiveTemplateRevision(type);
+      const templatePath = active
+        ? await materializeTemplateRevision(active)
+        : path.join(TEMPLATES_DIR, def.template);
+      const exists = fs.existsSync(templatePath);
+
+      items.push({
+        type,
+        label: def.label,
+        entity: def.entity,
+        template: active?.filename || def.template,
+        activeRevision: active?.id || BUNDLED_REVISION,
+        validity: def.validity || null,
+        exists,
+        placeholders: exists ? extractPlaceholders(templatePath) : [],
+      });
+    }
+
+    res.json(items);
+  } catch (e) {
+    console.error("GET /templates error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to read templates.",
+    });
+  }
+});
+
+// -----------------------------
+// VALIDITY
+// -----------------------------
+// An FSIC runs one year from the inspection date unless fsicValidity is set.
+const RECORD_VALIDITY = { months: 12, from: ["dateInspected"] };
+const EXPIRY_WARNING_DAYS = Math.max(1, Number(process.env.EXPIRY_WARNING_DAYS) || 30);
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const startOfDay = (d) => new Date(d.getFullYear(), d.getMonth(), d.getDate());
+
+// last valid day: same date `months` later, minus one day
+const addValidityMonths = (d, months) =>
+  new Date(d.getFullYear(), d.getMonth() + months, d.getDate() - 1);
+
+const clearanceValidityRule = (clearance) =>
+  getCertificateType("clearance", clearance?.type)?.validity || null;
+
+// Fills the valid-until date(s) when blank and the rule can compute one.
+// Dates typed by staff are never overwritten. Computed ones are marked
+// `validUntilComputed` and follow their source date on every save; `previous`
+// (the stored version) tells a carried-over computed date from a typed one.
+const fillValidUntil = (entity, rule, fields, previous = null) => {
+  const current = fields.some((f) => normalize(entity[f]));
+  const typed =
+    current &&
+    (!entity.validUntilComputed || fields.some((f) => normalize(entity[f]) !== normalize(previous?.[f])));
+  if (typed) {
+    if (entity.validUntilComputed) entity.validUntilComputed = false;
+    return entity;
+  }
+
+  const base = (rule?.from || ["clearanceDate"])
+    .map((f) => parseDateValue(entity[f]))
+    .find(Boolean);
+  const until = rule?.months && base ? toISODate(addValidityMonths(base, rule.months)) : "";
+  if (!until && !current) return entity;
+
+  for (const f of fields) entity[f] = until;
+  entity.validUntilComputed = Boolean(until);
+  return entity;
+};
+
+const fillRecordValidity = (record, previous = null) =>
+  fillValidUntil(record, RECORD_VALIDITY, ["fsicValidity"], previous);
+
+const fillClearanceValidity = (clearance, previous = null) =>
+  fillValidUntil(
+    clearance,
+    clearanceValidityRule(clearance),
+    ["validUntil", "clearanceValidity"],
+    previous
+  );
+
+const getValidUntil = (kind, entity) =>
+  parseDateValue(
+    kind === "record" ? entity.fsicValidity : entity.validUntil || entity.clearanceValidity
+  );
+
+// status is "unknown" when there is no valid-until date to go by
+const describeValidity = (kind, entity, warningDays = EXPIRY_WARNING_DAYS) => {
+  const until = getValidUntil(kind, entity);
+  if (!until) return { validityStatus: "unknown", validUntil: "", daysLeft: null };
+
+  const daysLeft = Math.round((startOfDay(until) - startOfDay(new Date())) / DAY_MS);
+  const validityStatus = daysLeft < 0 ? "expired" : daysLeft <= warningDays ? "expiring" : "active";
+
+  return { validityStatus, validUntil: toISODate(until), daysLeft };
+};
+
+const withValidity = (kind, entity) => (entity ? { ...entity, ...describeValidity(kind, entity) } : entity);
+
+// Lists FSICs and clearances whose validity ends within `days` (default
+// EXPIRY_WARNING_DAYS), soonest first. `includeExpired=1` adds lapsed ones.
+app.get("/expiring", requireRole("encoder"), async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? EXPIRY_WARNING_DAYS : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 0 || days > 3650) {
+      return res.status(400).json({
+        success: false,
+        message: "Days must be a whole number between 0 and 3650.",
+      });
+    }
+
+    const kind = normalize(req.query.kind).toLowerCase();
+    if (kind && !["record", "clearance"].includes(kind)) {
+      return res.status(400).json({
+        success: false,
+        message: "Kind must be record or clearance.",
+      });
+    }
+
+    const type = normalize(req.query.type).toLowerCase();
+    const includeExpired = isTruthyFlag(req.query.includeExpired);
+
+    const pick = (itemKind, items) =>
+      items
+        .map((item) => ({ ...item, ...describeValidity(itemKind, item, days) }))
+        .filter((item) => item.daysLeft !== null && item.daysLeft <= days)
+        .filter((item) => includeExpired || item.daysLeft >= 0)
+        .sort((a, b) => a.daysLeft - b.daysLeft)
+        .map((item) => ({
+          id: item.id,
+          kind: itemKind,
+          type: item.type || "",
+          entityKey: item.entityKey || "",
+          number: itemKind === "record" ? item.fsicNo || "" : item.controlNumber || "",
+          ownerName: item.ownerName || "",
+          establishmentName: item.establishmentName || "",
+          businessAddress: item.businessAddress || "",
+          contactNumber: item.contactNumber || "",
+          validUntil: item.validUntil,
+          daysLeft: item.daysLeft,
+          validityStatus: item.validityStatus,
+        }));
+
+    const records =
+      kind === "clearance" ? [] : pick("record", await store.list("records"));
+    const clearances =
+      kind === "record"
+        ? []
+        : pick(
+            "clearance",
+            await store.list("clearances", { where: pickFilters({ type }) })
+          );
+
+    res.json({ days, includeExpired, records, clearances });
+  } catch (e) {
+    console.error("GET /expiring error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch expiring items.",
+    });
+  }
+});
+
+// -----------------------------
+// TEMPLATE REVISIONS
+// -----------------------------
+// Uploaded revisions live in the store so they survive redeploys:
+// metadata in "templateRevisions", the .docx itself (base64) in
+// "templateFiles". The file shipped in templates/ is the "bundled" revision.
+const BUNDLED_REVISION = "bundled";
+
+// keeps the base64 copy under Firestore's 1 MiB document limit
+const TEMPLATE_MAX_BYTES = 700 * 1024;
+
+const TEMPLATE_REVISIONS_CACHE_DIR = path.join(os.tmpdir(), "bfp_template_revisions");
+
+const KNOWN_PLACEHOLDERS = new Set([
+  ...Object.keys(buildTemplateView({})),
+  ...DEFECT_ITEM_TAGS,
+  ...FEE_LINE_TAGS,
+]);
+
+const ENTITY_COLLECTIONS = {
+  record: "records",
+  clearance: "clearances",
+  document: "documents",
+};
+
+const getTemplateRevisions = async (type) =>
+  (await store.list("templateRevisions", { where: { type } })).sort(
+    (a, b) => Number(b.revision || 0) - Number(a.revision || 0)
+  );
+
+const getActiveTemplateRevision = async (type) => {
+  const [active] = await store.list("templateRevisions", {
+    where: { type, active: true },
+    limit: 1,
+  });
+  return active || null;
+};
+
+const getTemplateRevision = async (type, revisionId) => {
+  if (!revisionId || revisionId === BUNDLED_REVISION) return null;
+  const revision = await store.get("templateRevisions", revisionId);
+  return revision?.type === type ? revision : null;
+};
+
+// writes the stored .docx to a temp file once so generatePDF can read it
+const materializeTemplateRevision = async (revision) => {
+  const file = path.join(TEMPLATE_REVISIONS_CACHE_DIR, `${revision.id}.docx`);
+  if (fs.existsSync(file)) return file;
+
+  const stored = await store.get("templateFiles", revision.id);
+  if (!stored?.content) throw new Error(`Template file missing for revision ${revision.id}`);
+
+  fs.mkdirSync(TEMPLATE_REVISIONS_CACHE_DIR, { recursive: true });
+  fs.writeFileSync(file, Buffer.from(stored.content, "base64"));
+  return file;
+};
+
+// Files in templates/ change with deploys, so a bundled template is copied
+// into the store (keyed by its content hash) the first time it is pinned.
+const snapshotBundledTemplate = async (def) => {
+  const buf = fs.readFileSync(path.join(TEMPLATES_DIR, def.template));
+  const sha256 = crypto.createHash("sha256").update(buf).digest("hex");
+  const id = `${BUNDLED_REVISION}-${def.type}-${sha256.slice(0, 16)}`;
+
+  const existing = await store.get("templateRevisions", id);
+  if (existing) return existing;
+
+  const revision = {
+    id,
+    type: def.type,
+    revision: 0,
+    filename: def.template,
+    size: buf.length,
+    sha256,
+    snapshot: true,
+    notes: "Bundled template as first printed",
+    active: false,
+    uploadedBy: "system",
+    uploadedAt: new Date().toISOString(),
+  };
+  await store.commit([
+    { op: "set", col: "templateFiles", id, data: { content: buf.toString("base64") } },
+    { op: "set", col: "templateRevisions", id, data: revision },
+  ]);
+  return revision;
+};
+
+// The first final print of a type pins the revision on the entity, so every
+// reprint renders from the same template as the original. Drafts pass
+// `pin: false` so a preview never fixes the revision of the signed print.
+// The pin is returned as `pin()`, for the caller to run once the render has
+// succeeded. Entities pinned to "bundled" before snapshots existed print
+// from the current file and are re-pinned to its snapshot.
+const resolveTemplateForEntity = async (kind, entity, def, { pin = true } = {}) => {
+  const pinnedId = entity.templateRevisions?.[def.type];
+  const pinned = await getTemplateRevision(def.type, pinnedId);
+
+  let revision =
+    pinned || (pinnedId === BUNDLED_REVISION ? null : await getActiveTemplateRevision(def.type));
+  if (!revision && pin) revision = await snapshotBundledTemplate(def);
+
+  const revisionId = revision?.id || BUNDLED_REVISION;
+  const templatePath = revision
+    ? await materializeTemplateRevision(revision)
+    : path.join(TEMPLATES_DIR, def.template);
+
+  if (pinned || !pin) return { templatePath, revisionId, pin: null };
+
+  const col = ENTITY_COLLECTIONS[kind];
+  return {
+    templatePath,
+    revisionId,
+    pin: async () => {
+      // archived records are read-only; they print from the active revision
+      const current = await store.get(col, entity.id);
+      if (!current) return;
+      await store.set(
+        col,
+        entity.id,
+        { templateRevisions: { ...(current.templateRevisions || {}), [def.type]: revisionId } },
+        { merge: true }
+      );
+    },
+  };
+};
+
+const validateTemplateBuffer = (buf) => {
+  let zip;
+  try {
+    zip = new PizZip(buf.toString("binary"));
+    new Docxtemplater(zip, { paragraphLoop: true, linebreaks: true, modules: [qrImageModule()] });
+  } catch (e) {
+    const details = (e.properties?.errors || [])
+      .map((err) => err.properties?.explanation)
+      .filter(Boolean);
+    return { error: details.length ? details.join(" ") : `Invalid .docx template. ${e.message}` };
+  }
+
+  const tmp = path.join(os.tmpdir(), `bfp-template-check-${makeId()}.docx`);
+  fs.writeFileSync(tmp, buf);
+  try {
+    return { placeholders: extractPlaceholders(tmp) };
+  } finally {
+    placeholderCache.delete(tmp);
+    try {
+      fs.unlinkSync(tmp);
+    } catch {}
+  }
+};
+
+app.get("/templates/:type/revisions", requireRole("chief"), async (req, res) => {
+  try {
+    const type = String(req.params.type || "").toLowerCase();
+    const def = CERTIFICATE_TYPES[type];
+    if (!def) {
+      return res.status(404).json({
+        success: false,
+        message: "Unknown template type.",
+      });
+    }
+
+    const revisions = await getTemplateRevisions(type);
+    const anyActive = revisions.some((r) => r.active);
+
+    res.json([
+      ...revisions,
+      {
+        id: BUNDLED_REVISION,
+        type,
+        revision: 0,
+        filename: def.template,
+        active: !anyActive,
+      },
+    ]);
+  } catch (e) {
+    console.error("GET /templates/:type/revisions error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch template revisions.",
+    });
+  }
+});
+
+app.post(
+  "/templates/:type/revisions",
+  requireRole("admin"),
+  upload.single("file"),
+  async (req, res) => {
+    try {
+      const type = String(req.params.type || "").toLowerCase();
+      const def = CERTIFICATE_TYPES[type];
+      if (!def) {
+        return res.status(404).json({
+          success: false,
+          message: "Unknown template type.",
+        });
+      }
+
+      if (!req.file) {
+        return res.status(400).json({ success: false, message: "No file uploaded." });
+      }
+
+      const filename = String(req.file.originalname || "");
+      if (!filename.toLowerCase().endsWith(".docx")) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid file. Upload .docx only.",
+        });
+      }
+
+      if (req.file.size > TEMPLATE_MAX_BYTES) {
+        return res.status(400).json({
+          success: false,
+          message: `Template is too large (max ${Math.round(TEMPLATE_MAX_BYTES / 1024)} KB).`,
+        });
+      }
+
+      const { placeholders, error } = validateTemplateBuffer(req.file.buffer);
+      if (error) return res.status(400).json({ success: false, message: error });
+
+      const active = await getActiveTemplateRevision(type);
+      const currentPath = active
+        ? await materializeTemplateRevision(active)
+        : path.join(TEMPLATES_DIR, def.template);
+      const current = fs.existsSync(currentPath) ? extractPlaceholders(currentPath) : [];
+
+      const unknownPlaceholders = placeholders.filter((t) => !KNOWN_PLACEHOLDERS.has(t));
+      const missingPlaceholders = current.filter((t) => !placeholders.includes(t));
+
+      const warnings = [
+        ...unknownPlaceholders.map((t) => `{${t}} is not a field generatePDF supplies; it will print blank.`),
+        ...missingPlaceholders.map((t) => `{${t}} is in the current template but not in this revision.`),
+      ];
+
+      if (isTruthyFlag(req.query.dryRun)) {
+        return res.json({ success: true, dryRun: true, placeholders, warnings });
+      }
+
+      const revisions = await getTemplateRevisions(type);
+      const activate = req.body?.activate === undefined || isTruthyFlag(req.body.activate);
+
+      const revision = {
+        id: makeId(),
+        type,
+        revision: (Number(revisions[0]?.revision) || 0) + 1,
+        filename,
+        size: req.file.size,
+        sha256: crypto.createHash("sha256").update(req.file.buffer).digest("hex"),
+        placeholders,
+        unknownPlaceholders,
+        notes: normalize(req.body?.notes),
+        active: activate,
+        uploadedBy: getActor(req),
+        uploadedAt: new Date().toISOString(),
+      };
+
+      const ops = [
+        { op: "set", col: "templateFiles", id: revision.id, data: { content: req.file.buffer.toString("base64") } },
+        { op: "set", col: "templateRevisions", id: revision.id, data: revision },
+      ];
+      if (activate) {
+        for (const r of revisions.filter((x) => x.active)) {
+          ops.push({ op: "set", col: "templateRevisions", id: r.id, data: { ...r, active: false } });
+        }
+      }
+      await store.commit(ops);
+
+      res.json({ success: true, data: revision, warnings });
+    } catch (e) {
+      console.error("POST /templates/:type/revisions error:", e);
+      res.status(500).json({
+        success: false,
+        message: "Failed to upload template revision.",
+      });
+    }
+  }
+);
+
+app.post(
+  "/templates/:type/revisions/:revisionId/activate",
+  requireRole("admin"),
+  async (req, res) => {
+    try {
+      const type = String(req.params.type || "").toLowerCase();
+      if (!CERTIFICATE_TYPES[type]) {
+        return res.status(404).json({
+          success: false,
+          message: "Unknown template type.",
+        });
+      }
+
+      const revisionId = String(req.params.revisionId);
+      const revisions = await getTemplateRevisions(type);
+
+      if (revisionId !== BUNDLED_REVISION && !revisions.some((r) => r.id === revisionId)) {
+        return res.status(404).json({
+          success: false,
+          message: "Template revision not found.",
+        });
+      }
+
+      const ops = revisions
+        .filter((r) => r.active !== (r.id === revisionId))
+        .map((r) => ({
+          op: "set",
+          col: "templateRevisions",
+          id: r.id,
+          data: { ...r, active: r.id === revisionId },
+        }));
+      await store.commit(ops);
+
+      res.json({ success: true, activeRevision: revisionId });
+    } catch (e) {
+      console.error("POST /templates/:type/revisions/:revisionId/activate error:", e);
+      res.status(500).json({
+        success: false,
+        message: "Failed to activate template revision.",
+      });
+    }
+  }
+);
+
+app.get(
+  "/templates/:type/revisions/:revisionId/file",
+  requireRole("chief"),
+  async (req, res) => {
+    try {
+      const type = String(req.params.type || "").toLowerCase();
+      const def = CERTIFICATE_TYPES[type];
+      if (!def) return res.status(404).send("Unknown template type");
+
+      const revision = await getTemplateRevision(type, req.params.revisionId);
+      if (!revision && req.params.revisionId !== BUNDLED_REVISION) {
+        return res.status(404).send("Template revision not found");
+      }
+
+      const file = revision
+        ? await materializeTemplateRevision(revision)
+        : path.join(TEMPLATES_DIR, def.template);
+
+      res.download(file, revision?.filename || def.template);
+    } catch (e) {
+      console.error("GET /templates/:type/revisions/:revisionId/file error:", e);
+      res.status(500).send("Failed to download template.");
+    }
+  }
+);
+
+// -----------------------------
+// EXCEL IMPORT HELPERS
+// -----------------------------
+const pickAny = (obj, keys = []) => {
+  for (const k of keys) {
+    const v = obj?.[k];
+    if (v !== undefined && v !== null && String(v).trim() !== "") return v;
+  }
+  return "";
+};
+
+const normHeader = (s) =>
+  String(s ?? "")
+    .toLowerCase()
+    .replace(/\s+/g, "")
+    .replace(/_/g, "")
+    .replace(/-/g, "");
+
+const excelDateToISO = (v) => {
+  if (typeof v === "string") return v;
+  if (typeof v === "number") {
+    const dt = new Date(Math.round((v - 25569) * 86400 * 1000));
+    if (!isNaN(dt.getTime())) {
+      const y = dt.getFullYear();
+      const m = String(dt.getMonth() + 1).padStart(2, "0");
+      const d = String(dt.getDate()).padStart(2, "0");
+      return `${y}-${m}-${d}`;
+    }
+  }
+  return String(v ?? "");
+};
+
+const mapExcelRowToRecord = (row = {}) => {
+  const headerMap = {};
+  for (const k of Object.keys(row)) {
+    headerMap[normHeader(k)] = row[k];
+  }
+
+  const get = (...variants) => pickAny(headerMap, variants.map(normHeader));
+
+  const rec = {
+    id: makeId(),
+    createdAt: new Date().toISOString(),
+
+    appno: String(
+      get("appno", "applicationno", "application#", "applicationnumber") || ""
+    ),
+    fsicAppNo: String(get("fsicappno", "fsicapp#", "fsicapp") || ""),
+    fsicNo: String(get("fsicno", "fsicnumber", "fsic#") || ""),
+    natureOfInspection: String(
+      get("natureofinspection", "inspection", "nature") || ""
+    ),
+    ownerName: String(get("owner", "ownername", "ownersname", "taxpayer") || ""),
+    establishmentName: String(
+      get("establishment", "establishmentname", "tradename", "nameofestablishment") ||
+        ""
+    ),
+    businessAddress: String(
+      get("businessaddress", "address", "bussinessaddress") || ""
+    ),
+    contactNumber: String(get("contactnumber", "contact", "mobile") || ""),
+    dateInspected: excelDateToISO(get("dateinspected", "date") || ""),
+
+    ioNumber: String(get("ionumber", "io#", "io") || ""),
+    ioDate: excelDateToISO(get("iodate") || ""),
+
+    nfsiNumber: String(get("nfsinumber", "nfsi#", "nfsi") || ""),
+    nfsiDate: excelDateToISO(get("nfsidate") || ""),
+
+    ntcNumber: String(get("ntcnumber", "ntc#", "ntc") || ""),
+    ntcDate: excelDateToISO(get("ntcdate") || ""),
+
+    fsicValidity: String(get("fsicvalidity", "validity") || ""),
+    defects: String(get("defects", "violations") || ""),
+    inspectors: String(get("inspectors", "inspector") || ""),
+    occupancyType: String(get("occupancytype", "occupancy") || ""),
+    buildingDesc: String(get("buildingdesc", "bldgdescription", "buildingdescription") || ""),
+    floorArea: String(get("floorarea") || ""),
+    remarks: String(get("remarks") || ""),
+
+    orNumber: String(get("ornumber", "or#", "orno") || ""),
+    orAmount: String(get("oramount", "amountpaid") || ""),
+    orDate: excelDateToISO(get("ordate") || ""),
+
+    chiefName: String(get("chiefname", "chief") || ""),
+    chiefPosition: String(get("chiefposition", "position") || ""),
+    marshalName: String(get("marshalname", "marshal") || ""),
+    marshalPosition: String(get("marshalposition", "marshalposition") || ""),
+  };
+
+  rec.fsicAppNo = String(rec.fsicAppNo || "").toUpperCase().trim();
+  rec.fsicNo = String(rec.fsicNo || "").toUpperCase().trim();
+  rec.ownerName = String(rec.ownerName || "").toUpperCase().trim();
+  rec.establishmentName = String(rec.establishmentName || "").toUpperCase().trim();
+  rec.businessAddress = String(rec.businessAddress || "").toUpperCase().trim();
+
+  return ensureEntityKey(rec);
+};
+
+const readExcelRows = (req) => {
+  if (!req.file) return { error: "No file uploaded." };
+
+  const filename = String(req.file.originalname || "").toLowerCase();
+  if (!filename.endsWith(".xlsx") && !filename.endsWith(".xls")) {
+    return { error: "Invalid file. Upload .xlsx or .xls only." };
+  }
+
+  const wb = xlsx.read(req.file.buffer, { type: "buffer" });
+  const sheetName = wb.SheetNames?.[0];
+  if (!sheetName) return { error: "Excel file has no sheets." };
+
+  const ws = wb.Sheets[sheetName];
+  const rows = xlsx.utils.sheet_to_json(ws, { defval: "" });
+
+  if (!rows.length) return { error: "Excel sheet is empty." };
+  return { rows, sheetName };
+};
+
+// -----------------------------
+// IMPORT
+// -----------------------------
+const isTruthyFlag = (v) => ["1", "true", "yes"].includes(normalize(v).toLowerCase());
+
+const importKey = (v) => normalize(v).toUpperCase();
+
+// only non-blank cells overwrite what is already stored
+const nonBlankRecordFields = (rec) =>
+  Object.fromEntries(
+    Object.entries(pickAllowedRecordFields(rec)).filter(([, v]) => normalize(v))
+  );
+
+app.post("/import/records", requireRole("chief"), upload.single("file"), async (req, res) => {
+  try {
+    const { rows, sheetName, error } = readExcelRows(req);
+    if (error) return res.status(400).json({ success: false, message: error });
+
+    const dryRun = isTruthyFlag(req.query.dryRun);
+
+    const current = (await store.list("records")).map(ensureEntityKey);
+    const byEntityKey = new Map();
+    const byFsicAppNo = new Map();
+    for (const r of current) {
+      byEntityKey.set(normalize(r.entityKey), r);
+      if (importKey(r.fsicAppNo)) byFsicAppNo.set(importKey(r.fsicAppNo), r);
+    }
+
+    // OR numbers are claimed against the ledger as rows are read, so two
+    // rows of the same file cannot share a receipt either
+    const receipts = new Map((await store.list("receipts")).map((r) => [r.id, r]));
+    const claimRowReceipt = (before, after) => {
+      const key = normalize(after.orNumber) ? receiptKey(after.orNumber) : "";
+      const plan = planReceipt(req, "record", after, before, key ? receipts.get(key) : null);
+      if (plan.receipt) receipts.set(key, plan.receipt);
+      return plan;
+    };
+
+    // series numbers typed in the file get the same checks as POST /records,
+    // against the stored records, claims and voids and the rows before them
+    const numberClaims = new Map((await store.list("numberClaims")).map((c) => [c.id, c]));
+    const voidedNumbers = new Set(
+      (await store.list("numberVoids")).map((v) => numberClaimKey(v.series, v.number))
+    );
+    const numberHolders = new Map();
+    for (const r of current) {
+      for (const { series, number } of addedSeriesNumbers("record", r, null)) {
+        numberHolders.set(numberClaimKey(series, number), String(r.id));
+      }
+    }
+    const checkRowNumbers = (before, after) => {
+      for (const { series, def, number } of addedSeriesNumbers("record", after, before)) {
+        const key = numberClaimKey(series, number);
+        if (voidedNumbers.has(key)) return `${def.label} number ${number} has been voided.`;
+        const holder = numberHolders.get(key) || numberClaims.get(key)?.entityId;
+        if (holder && holder !== String(after.id)) {
+          return `${def.label} number ${number} is already used by record ${holder}.`;
+        }
+      }
+      return null;
+    };
+    const claimRowNumbers = (before, after) =>
+      addedSeriesNumbers("record", after, before).map(({ series, number }) => {
+        const claim = { id: numberClaimKey(series, number), ...buildNumberClaim(series, number, after) };
+        numberClaims.set(claim.id, claim);
+        numberHolders.set(claim.id, String(after.id));
+        return claim;
+      });
+
+    const seen = new Set();
+    const report = [];
+    const writes = [];
+
+    rows.forEach((row, i) => {
+      const mapped = mapExcelRowToRecord(row);
+      const entry = {
+        row: i + 2, // header is row 1
+        fsicAppNo: mapped.fsicAppNo,
+        ownerName: mapped.ownerName,
+      };
+
+      if (!normalize(mapped.fsicAppNo) || !normalize(mapped.ownerName)) {
+        report.push({ ...entry, action: "skipped", reason: "Missing FSIC app no. or owner name." });
+        return;
+      }
+
+      const key = importKey(mapped.fsicAppNo);
+      if (seen.has(key)) {
+        report.push({ ...entry, action: "skipped", reason: "Duplicate FSIC app no. in file." });
+        return;
+      }
+      seen.add(key);
+
+      const existing =
+        byEntityKey.get(normalize(mapped.entityKey)) || byFsicAppNo.get(key);
+
+      if (!existing) {
+        const payload = buildRecordPayload({
+          ...nonBlankRecordFields(mapped),
+          id: mapped.id,
+          entityKey: mapped.entityKey,
+        });
+        const numberConflict = checkRowNumbers(null, payload);
+        if (numberConflict) {
+          report.push({ ...entry, action: "skipped", reason: numberConflict });
+          return;
+        }
+        const receipt = claimRowReceipt(null, payload);
+        if (receipt.error) {
+          report.push({ ...entry, action: "skipped", reason: receipt.error });
+          return;
+        }
+        writes.push({ before: null, after: payload, receipt, claims: claimRowNumbers(null, payload) });
+        report.push({ ...entry, action: "new", id: payload.id });
+        return;
+      }
+
+      const merged = buildRecordPayload(nonBlankRecordFields(mapped), existing);
+      const changedFields = diffFields("record", existing, merged).map((c) => c.field);
+
+      if (!changedFields.length) {
+        report.push({ ...entry, action: "skipped", id: existing.id, reason: "No changes." });
+        return;
+      }
+
+      const numberConflict = checkRowNumbers(existing, merged);
+      if (numberConflict) {
+        report.push({ ...entry, action: "skipped", id: existing.id, reason: numberConflict });
+        return;
+      }
+      const receipt = claimRowReceipt(existing, merged);
+      if (receipt.error) {
+        report.push({ ...entry, action: "skipped", id: existing.id, reason: receipt.error });
+        return;
+      }
+
+      writes.push({ before: existing, after: merged, receipt, claims: claimRowNumbers(existing, merged) });
+      report.push({ ...entry, action: "updated", id: existing.id, changedFields });
+    });
+
+    // rows keep the FSIC number the sheet gives them; none is drawn here, as
+    // imported records are mostly history and would use up the live series
+    if (!dryRun) {
+      const ops = writes.flatMap(({ before, after, receipt, claims }) => {
+        const entry = buildHistoryEntry(req, "record", before ? "update" : "create", before, after);
+        const released = receipts.get(receipt.release);
+        const replaced = addedSeriesNumbers("record", before, after)
+          .map(({ series, number }) => numberClaimKey(series, number))
+          .filter((key) => numberClaims.get(key)?.entityId === String(after.id));
+        return [
+          { op: "set", col: "records", id: after.id, data: after },
+          ...claims.map(({ id, ...claim }) => ({ op: "set", col: "numberClaims", id, data: claim })),
+          ...replaced.map((id) => ({ op: "delete", col: "numberClaims", id })),
+          { op: "set", col: "history", id: entry.id, data: { ...entry, source: "import" } },
+          ...(receipt.receipt ? [{ op: "set", col: "receipts", id: receipt.receipt.id, data: receipt.receipt }] : []),
+          ...(isReceiptOf(released, "record", after) && released.status !== "void"
+            ? [{ op: "delete", col: "receipts", id: receipt.release }]
+            : []),
+        ];
+      });
+      await store.commit(ops);
+    }
+
+    const count = (action) => report.filter((r) => r.action === action).length;
+
+    res.json({
+      success: true,
+      dryRun,
+      sheet: sheetName,
+      imported: count("new"),
+      updated: count("updated"),
+      skipped: count("skipped"),
+      report,
+    });
+  } catch (e) {
+    console.error("POST /import/records error:", e);
+    res
+      .status(500)
+      .json({ success: false, message: "Failed to import records Excel." });
+  }
+});
+
+// -----------------------------
+// EXPORT
+// -----------------------------
+// headers match the aliases mapExcelRowToRecord accepts so the file re-imports
+const RECORD_EXPORT_COLUMNS = [
+  ["FSIC App No", "fsicAppNo"],
+  ["FSIC No", "fsicNo"],
+  ["Nature of Inspection", "natureOfInspection"],
+  ["Owner Name", "ownerName"],
+  ["Establishment Name", "establishmentName"],
+  ["Business Address", "businessAddress"],
+  ["Contact Number", "contactNumber"],
+  ["Date Inspected", "dateInspected"],
+  ["IO Number", "ioNumber"],
+  ["IO Date", "ioDate"],
+  ["NFSI Number", "nfsiNumber"],
+  ["NFSI Date", "nfsiDate"],
+  ["NTC Number", "ntcNumber"],
+  ["NTC Date", "ntcDate"],
+  ["FSIC Validity", "fsicValidity"],
+  ["Defects", "defects"],
+  ["Inspectors", "inspectors"],
+  ["Occupancy Type", "occupancyType"],
+  ["Building Desc", "buildingDesc"],
+  ["Floor Area", "floorArea"],
+  ["Remarks", "remarks"],
+  ["OR Number", "orNumber"],
+  ["OR Amount", "orAmount"],
+  ["OR Date", "orDate"],
+  ["Chief Name", "chiefName"],
+  ["Chief Position", "chiefPosition"],
+  ["Marshal Name", "marshalName"],
+  ["Marshal Position", "marshalPosition"],
+];
+
+const CLEARANCE_EXPORT_COLUMNS = [
+  ["Clearance ID", "id"],
+  ["Type", "type"],
+  ["Control Number", "controlNumber"],
+  ["FSIC App No", "FSIC_APP_NO"],
+  ["FSIC Number", "FSIC_NUMBER"],
+  ["Owner Name", "ownerName"],
+  ["Establishment Name", "establishmentName"],
+  ["Business Address", "businessAddress"],
+  ["Contact Number", "contactNumber"],
+  ["Clearance Date", "clearanceDate"],
+  ["Valid Until", "validUntil"],
+  ["OR Number", "orNumber"],
+  ["OR Amount", "orAmount"],
+  ["OR Date", "orDate"],
+  ["Chief Name", "chiefName"],
+  ["Marshal Name", "marshalName"],
+];
+
+// extra columns appended when exporting a single clearance type
+const CLEARANCE_EXPORT_EXTRAS = {
+  conveyance: [
+    ["Plate Number", "plateNumber"],
+    ["Type of Vehicle", "typeOfVehicle"],
+    ["Chassis Number", "chassisNumber"],
+    ["Motor Number", "motorNumber"],
+    ["License Number", "licenseNumber"],
+    ["Name of Driver", "nameOfDriver"],
+    ["Trailer Number", "trailerNumber"],
+    ["Capacity", "capacity"],
+  ],
+  storage: [
+    ["Storage Address", "storageAddress"],
+    ["Flammable 1", "flammable1"],
+    ["Capacity 1", "capacity1"],
+    ["Flammable 2", "flammable2"],
+    ["Capacity 2", "capacity2"],
+    ["Flammable 3", "flammable3"],
+    ["Capacity 3", "capacity3"],
+    ["Flammable 4", "flammable4"],
+    ["Capacity 4", "capacity4"],
+  ],
+  hotworks: [
+    ["Company Name", "companyName"],
+    ["Job Order Number", "jobOrderNumber"],
+    ["Nature of Job", "natureOfJob"],
+    ["Permit Authorizing Individual", "permitAuthorizingIndividual"],
+    ["Hotwork Operator", "hotworkOperator"],
+    ["Fire Watch", "fireWatch"],
+  ],
+  firedrill: [
+    ["Date Conducted", "dateConducted"],
+    ["Issued Day", "issuedDay"],
+    ["Issued Month", "issuedMonth"],
+  ],
+  fumigation: [
+    ["Operator Name", "operatorName"],
+    ["Operation Date", "operationDate"],
+    ["Operation Time", "operationTime"],
+    ["Operation Duration", "operationDuration"],
+    ["Fogging Address", "foggingAddress"],
+    ["Conducted By", "conductedBy"],
+  ],
+  seminar: [
+    ["Date Conducted", "dateConducted"],
+    ["Issued Day", "issuedDay"],
+    ["Issued Month", "issuedMonth"],
+  ],
+  firesafety: [
+    ["Plate Number", "plateNumber"],
+    ["Type of Vehicle", "vehicleType"],
+    ["Brand of Vehicle", "brandOfVehicle"],
+    ["Engine Number", "engineNumber"],
+    ["Chassis Number", "chassisNumber"],
+    ["Permit Number", "permitNumber"],
+    ["FSIC Issued", "fsicIssued"],
+    ["Cage Size", "cageSize"],
+    ["Capacity", "capacity"],
+  ],
+  fireworks: [
+    ["Name of Contractor", "contractorName"],
+    ["Supervisor", "supervisor"],
+  ],
+};
+
+const DOCUMENT_EXPORT_COLUMNS = [
+  ["Document ID", "id"],
+  ["Document Type", "docType"],
+  ["Record ID", "recordId"],
+  ["FSIC App No", "fsicAppNo"],
+  ["FSIC Number", "fsicNo"],
+  ["Owner Name", "ownerName"],
+  ["Establishment Name", "establishmentName"],
+  ["Business Address", "businessAddress"],
+  ["IO Number", "ioNumber"],
+  ["IO Date", "ioDate"],
+  ["NFSI Number", "nfsiNumber"],
+  ["NFSI Date", "nfsiDate"],
+  ["NTC Number", "ntcNumber"],
+  ["NTC Date", "ntcDate"],
+  ["Inspectors", "inspectors"],
+  ["Team Leader", "teamLeader"],
+];
+
+const EXPORT_FORMATS = {
+  xlsx: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  csv: "text/csv",
+};
+
+const inDateRange = (value, from, to) => {
+  if (!from && !to) return true;
+  const d = toISODate(value);
+  if (!d) return false;
+  if (from && d < from) return false;
+  if (to && d > to) return false;
+  return true;
+};
+
+const loadExportRows = async (dataset, query) => {
+  const from = toISODate(query.from);
+  const to = toISODate(query.to);
+
+  if (dataset === "records") {
+    const items = (await store.list("records"))
+      .map(ensureEntityKey)
+      .filter((r) => inDateRange(r.dateInspected || r.createdAt, from, to));
+
+    return { columns: RECORD_EXPORT_COLUMNS, items, sheet: "Records" };
+  }
+
+  if (dataset === "clearances") {
+    const type = normalize(query.type).toLowerCase();
+    const items = (await store.list("clearances"))
+      .filter((c) => !type || String(c.type || "").toLowerCase() === type)
+      .filter((c) => inDateRange(c.clearanceDate || c.createdAt, from, to));
+
+    const columns = [...CLEARANCE_EXPORT_COLUMNS, ...(CLEARANCE_EXPORT_EXTRAS[type] || [])];
+    return { columns, items, sheet: type ? `Clearances (${type})` : "Clearances" };
+  }
+
+  if (dataset === "documents") {
+    const docType = normalize(query.docType || query.type).toLowerCase();
+    const items = (await store.list("documents"))
+      .filter((d) => !docType || String(d.docType || "").toLowerCase() === docType)
+      .filter((d) => inDateRange(d.createdAt, from, to));
+
+    return { columns: DOCUMENT_EXPORT_COLUMNS, items, sheet: "Documents" };
+  }
+
+  return null;
+};
+
+const buildSpreadsheet = (columns, items, sheetName, format) => {
+  const aoa = [
+    columns.map(([header]) => header),
+    ...items.map((item) => columns.map(([, field]) => {
+      const v = item[field];
+      if (v && typeof v === "object" && typeof v.toDate === "function") {
+        return v.toDate().toISOString();
+      }
+      return v ?? "";
+    })),
+  ];
+
+  const wb = xlsx.utils.book_new();
+  xlsx.utils.book_append_sheet(wb, xlsx.utils.aoa_to_sheet(aoa), sheetName.slice(0, 31));
+  return xlsx.write(wb, { type: "buffer", bookType: format });
+};
+
+const sendSpreadsheet = (res, buf, filenameBase, format) => {
+  res.setHeader("Content-Type", EXPORT_FORMATS[format]);
+  res.setHeader(
+    "Content-Disposition",
+    `attachment; filename="${filenameBase}.${format}"`
+  );
+  res.send(buf);
+};
+
+app.get("/export/:dataset.:format", requireRole("encoder"), async (req, res) => {
+  try {
+    const format = String(req.params.format || "").toLowerCase();
+    if (!EXPORT_FORMATS[format]) {
+      return res.status(400).json({
+        success: false,
+        message: "Export format must be xlsx or csv.",
+      });
+    }
+
+    const dataset = String(req.params.dataset || "").toLowerCase();
+    const result = await loadExportRows(dataset, req.query);
+    if (!result) {
+      return res.status(400).json({
+        success: false,
+        message: "Export must be records, clearances or documents.",
+      });
+    }
+
+    const buf = buildSpreadsheet(result.columns, result.items, result.sheet, format);
+    sendSpreadsheet(res, buf, `${dataset}-${toISODate(new Date())}`, format);
+  } catch (e) {
+    console.error("GET /export/:dataset error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to export spreadsheet.",
+    });
+  }
+});
+
+// -----------------------------
+// NUMBERING
+// -----------------------------
+// Counters live in `numberCounters` as `{series}-{year}` and are bumped with
+// store.update, so two requests can never draw the same sequence. Patterns
+// support {YYYY}, {YY}, {MM}, {SEQ} and {SEQ:n} (zero-padded to n digits).
+// Every number saved on an entity is also claimed in `numberClaims`, again
+// with store.update, so two saves of the same hand-typed number cannot both
+// pass the check.
+const NUMBER_SERIES = {
+  fsic: {
+    label: "FSIC",
+    entity: "record",
+    fields: ["fsicNo", "FSIC_NUMBER"],
+    pattern: "R10-FSIC-{YYYY}-{SEQ:5}",
+  },
+  io: { label: "IO", entity: "record", fields: ["ioNumber"], pattern: "R10-IO-{YYYY}-{SEQ:5}" },
+  nfsi: { label: "NFSI", entity: "record", fields: ["nfsiNumber"], pattern: "R10-NFSI-{YYYY}-{SEQ:5}" },
+  ntc: { label: "NTC", entity: "record", fields: ["ntcNumber"], pattern: "R10-NTC-{YYYY}-{SEQ:5}" },
+  control: {
+    label: "Control No.",
+    entity: "clearance",
+    fields: ["controlNumber"],
+    pattern: "R10-CN-{YYYY}-{SEQ:5}",
+  },
+};
+
+const NUMBER_PATTERN_TOKENS = /\{(YYYY|YY|MM|SEQ)(?::(\d+))?\}/g;
+
+const formatSeriesNumber = (pattern, { year, month, seq }) =>
+  pattern.replace(NUMBER_PATTERN_TOKENS, (_, token, width) => {
+    if (token === "YYYY") return String(year);
+    if (token === "YY") return String(year).slice(-2);
+    if (token === "MM") return String(month).padStart(2, "0");
+    return String(seq).padStart(Number(width) || 1, "0");
+  });
+
+// counters reset every year, so a pattern without the year would repeat
+const validateSeriesPattern = (pattern) => {
+  if (!pattern) return "Pattern is required.";
+  if (!/\{SEQ(:\d+)?\}/.test(pattern)) return "Pattern must contain {SEQ} or {SEQ:n}.";
+  if (!/\{YY(YY)?\}/.test(pattern)) return "Pattern must contain {YYYY} or {YY}.";
+  return null;
+};
+
+const getSeriesPattern = async (series) =>
+  (await store.get("numberSeries", series))?.pattern || NUMBER_SERIES[series].pattern;
+
+// archived records hold on to their numbers; one found there carries
+// `archivedIn`, the collection it is stored in
+const findNumberHolder = async (series, number, excludeId = null) => {
+  const def = NUMBER_SERIES[series];
+  const where = { [def.fields[0]]: number };
+  const other = (x) => String(x.id) !== String(excludeId);
+  const active = (await store.list(ENTITY_COLLECTIONS[def.entity], { where })).find(other);
+  if (active || def.entity !== "record") return active || null;
+  return (await findArchivedRecords(where)).find(other) || null;
+};
+
+const findVoidedNumber = async (series, number) =>
+  (await store.list("numberVoids", { where: { series, number }, limit: 1 }))[0] || null;
+
+const numberClaimKey = (series, number) => `${series}-${encodeURIComponent(normalize(number))}`;
+
+const buildNumberClaim = (series, number, entity) => ({
+  series,
+  number: normalize(number),
+  entityType: NUMBER_SERIES[series].entity,
+  entityId: String(entity.id),
+  claimedAt: new Date().toISOString(),
+});
+
+// a claim left by a save that never completed frees itself after a while
+const NUMBER_CLAIM_GRACE_MS = 5 * 60 * 1000;
+
+const isStaleNumberClaim = async (claim) =>
+  Date.now() - Date.parse(claim.claimedAt || 0) > NUMBER_CLAIM_GRACE_MS &&
+  !(claim.entityType === "record"
+    ? await findRecordById(claim.entityId)
+    : await store.get(ENTITY_COLLECTIONS[claim.entityType], claim.entityId));
+
+// true when `number` is now claimed for `entity`, false when someone else has it
+const tryClaimNumber = async (series, number, entity) => {
+  const key = numberClaimKey(series, number);
+  let holder = null;
+  await store.update("numberClaims", key, (current) => {
+    holder = current && current.entityId !== String(entity.id) ? current : null;
+    return holder || buildNumberClaim(series, number, entity);
+  });
+  if (!holder) return true;
+  if (!(await isStaleNumberClaim(holder))) return false;
+
+  await store.set("numberClaims", key, buildNumberClaim(series, number, entity));
+  return true;
+};
+
+const allocateNumber = async (series, entity) => {
+  const pattern = await getSeriesPattern(series);
+  const now = new Date();
+  const year = now.getFullYear();
+
+  // hand-typed numbers from before the service may already sit on the
+  // counter's path; skip past them instead of issuing a duplicate
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const counter = await store.update("numberCounters", `${series}-${year}`, (current) => ({
+      series,
+      year,
+      seq: (Number(current?.seq) || 0) + 1,
+      updatedAt: now.toISOString(),
+    }));
+
+    const number = formatSeriesNumber(pattern, { year, month: now.getMonth() + 1, seq: counter.seq });
+    if (
+      !(await findNumberHolder(series, number)) &&
+      !(await findVoidedNumber(series, number)) &&
+      (await tryClaimNumber(series, number, entity))
+    ) {
+      return number;
+    }
+  }
+
+  throw new Error(`Could not allocate a free ${series} number.`);
+};
+
+const setSeriesNumber = (entity, series, number) => {
+  for (const field of NUMBER_SERIES[series].fields) entity[field] = number;
+  return entity;
+};
+
+// Numbers entered by hand must still be unique and never reuse a voided one.
+// Only fields that changed are checked so legacy duplicates stay editable.
+const findNumberConflict = async (entity, payload, existing = null) => {
+  for (const [series, def] of Object.entries(NUMBER_SERIES)) {
+    if (def.entity !== entity) continue;
+
+    const number = normalize(payload[def.fields[0]]);
+    if (!number || number === normalize(existing?.[def.fields[0]])) continue;
+
+    const holder = await findNumberHolder(series, number, payload.id);
+    if (holder) return `${def.label} number ${number} is already used by ${def.entity} ${holder.id}.`;
+
+    if (await findVoidedNumber(series, number)) return `${def.label} number ${number} has been voided.`;
+  }
+  return null;
+};
+
+// series numbers on `entity` that `other` does not carry
+const addedSeriesNumbers = (entity, from, other) =>
+  Object.entries(NUMBER_SERIES)
+    .filter(([, def]) => def.entity === entity)
+    .map(([series, def]) => ({ series, def, number: normalize(from?.[def.fields[0]]) }))
+    .filter(({ def, number }) => number && number !== normalize(other?.[def.fields[0]]));
+
+// Checks the numbers `payload` adds and claims them before it is saved.
+// Returns an error message (claiming nothing) when one is taken or voided.
+const claimNumbers = async (entity, payload, existing = null) => {
+  const conflict = await findNumberConflict(entity, payload, existing);
+  if (conflict) return conflict;
+
+  for (const { series, def, number } of addedSeriesNumbers(entity, payload, existing)) {
+    if (!(await tryClaimNumber(series, number, payload))) {
+      await releaseNumberClaims(entity, payload, existing);
+      return `${def.label} number ${number} is already used by another ${def.entity}.`;
+    }
+  }
+  return null;
+};
+
+// Frees the claims on numbers `from` carries and `keep` does not: the old
+// numbers after a save, the new ones when a save failed, all on delete.
+const releaseNumberClaims = async (entity, from, keep = null) => {
+  for (const { series, number } of addedSeriesNumbers(entity, from, keep)) {
+    const key = numberClaimKey(series, number);
+    const claim = await store.get("numberClaims", key);
+    if (claim?.entityId === String(from.id)) await store.delete("numberClaims", key);
+  }
+};
+
+// Saves `payload` (over `existing`, if any) once its numbers are claimed.
+// `save` draws missing numbers, claims the OR and writes; it may return an
+// error message to abort. The new number and OR claims are freed when the
+// save fails or aborts, the replaced ones once it has succeeded. Resolves to
+// the error message, or null.
+const saveClaimed = async (entity, payload, existing, save) => {
+  const conflict = await claimNumbers(entity, payload, existing);
+  if (conflict) return conflict;
+
+  const release = async () => {
+    await releaseNumberClaims(entity, payload, existing);
+    await releaseReceiptClaim(entity, payload, existing);
+  };
+
+  let error;
+  try {
+    error = await save();
+  } catch (e) {
+    await release();
+    throw e;
+  }
+  if (error) {
+    await release();
+    return error;
+  }
+
+  if (existing) {
+    await releaseNumberClaims(entity, existing, payload);
+    await releaseReceiptClaim(entity, existing, payload);
+  }
+  return null;
+};
+
+app.get("/numbering", requireRole("chief"), async (req, res) => {
+  try {
+    const year = new Date().getFullYear();
+    const items = [];
+
+    for (const [series, def] of Object.entries(NUMBER_SERIES)) {
+      const pattern = await getSeriesPattern(series);
+      const counter = await store.get("numberCounters", `${series}-${year}`);
+      const seq = Number(counter?.seq) || 0;
+
+      items.push({
+        series,
+        label: def.label,
+        entity: def.entity,
+        field: def.fields[0],
+        pattern,
+        year,
+        lastSeq: seq,
+        next: formatSeriesNumber(pattern, { year, month: new Date().getMonth() + 1, seq: seq + 1 }),
+      });
+    }
+
+    res.json(items);
+  } catch (e) {
+    console.error("GET /numbering error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch numbering series.",
+    });
+  }
+});
+
+app.put("/numbering/:series", requireRole("admin"), async (req, res) => {
+  try {
+    const series = String(req.params.series || "").toLowerCase();
+    if (!NUMBER_SERIES[series]) {
+      return res.status(404).json({
+        success: false,
+        message: "Unknown numbering series.",
+      });
+    }
+
+    const pattern = normalize(req.body?.pattern);
+    const invalid = validateSeriesPattern(pattern);
+    if (invalid) {
+      return res.status(400).json({
+        success: false,
+        message: invalid,
+      });
+    }
+
+    const data = { pattern, updatedAt: new Date().toISOString(), updatedBy: getActor(req) };
+    await store.set("numberSeries", series, data, { merge: true });
+
+    res.json({ success: true, data: { series, ...data } });
+  } catch (e) {
+    console.error("PUT /numbering/:series error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update numbering series.",
+    });
+  }
+});
+
+// ?series; on Firestore the filter needs its index from firestore.indexes.json
+app.get("/numbering/voids", requireRole("chief"), async (req, res) => {
+  try {
+    const items = await store.list("numberVoids", {
+      where: pickFilters({ series: normalize(req.query.series).toLowerCase() }),
+      orderBy: "at",
+      direction: "desc",
+    });
+
+    res.json(items);
+  } catch (e) {
+    console.error("GET /numbering/voids error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch voided numbers.",
+    });
+  }
+});
+
+const voidNumber = async (req, series, number, reason, holder = null) => {
+  const def = NUMBER_SERIES[series];
+  const entry = {
+    id: makeId(),
+    series,
+    number,
+    reason,
+    entityType: holder ? def.entity : "",
+    entityId: holder ? holder.id : "",
+    actor: getActor(req),
+    at: new Date().toISOString(),
+  };
+
+  await store.set("numberVoids", entry.id, entry);
+
+  if (holder) {
+    const { archivedIn, ...stored } = holder;
+    const cleared = setSeriesNumber({ ...stored, updatedAt: entry.at }, series, "");
+    await store.set(archivedIn || ENTITY_COLLECTIONS[def.entity], holder.id, cleared);
+    await logHistory(req, def.entity, "update", stored, cleared);
+  }
+
+  return entry;
+};
+
+// Spoiled or withdrawn numbers go to the ledger and are never issued again.
+// If an entity carries the number it is cleared from it.
+app.post("/numbering/:series/void", requireRole("chief"), async (req, res) => {
+  try {
+    const series = String(req.params.series || "").toLowerCase();
+    if (!NUMBER_SERIES[series]) {
+      return res.status(404).json({
+        success: false,
+        message: "Unknown numbering series.",
+      });
+    }
+
+    const number = normalize(req.body?.number);
+    const reason = normalize(req.body?.reason);
+    if (!number || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: "Number and reason are required.",
+      });
+    }
+
+    if (await findVoidedNumber(series, number)) {
+      return res.status(409).json({
+        success: false,
+        message: "Number is already voided.",
+      });
+    }
+
+    const entry = await voidNumber(req, series, number, reason, await findNumberHolder(series, number));
+    res.json({ success: true, data: entry });
+  } catch (e) {
+    console.error("POST /numbering/:series/void error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to void number.",
+    });
+  }
+});
+
+// IO / NFSI / NTC are drawn when the document is prepared and the FSIC number
+// when the FSIC is issued, not when the record is created. `reissue` voids the current number (with `reason`) first.
+const assignNumberRoute = (entity) => async (req, res) => {
+  try {
+    const series = String(req.params.series || "").toLowerCase();
+    const def = NUMBER_SERIES[series];
+    if (!def || def.entity !== entity) {
+      return res.status(404).json({
+        success: false,
+        message: `Unknown numbering series for ${entity}.`,
+      });
+    }
+
+    const col = ENTITY_COLLECTIONS[entity];
+    const existing = await store.get(col, req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: `${entity === "record" ? "Record" : "Clearance"} not found.`,
+      });
+    }
+
+    const current = normalize(existing[def.fields[0]]);
+    const reason = normalize(req.body?.reason);
+    let before = existing;
+
+    if (current) {
+      if (!isTruthyFlag(req.body?.reissue)) {
+        return res.status(409).json({
+          success: false,
+          message: `${def.label} number already assigned: ${current}.`,
+        });
+      }
+      if (!reason) {
+        return res.status(400).json({
+          success: false,
+          message: "Reason is required to reissue a number.",
+        });
+      }
+
+      if (!(await findVoidedNumber(series, current))) {
+        await voidNumber(req, series, current, reason, existing);
+      }
+      before = await store.get(col, existing.id);
+    }
+
+    const number = await allocateNumber(series, existing);
+    const updated = setSeriesNumber({ ...before, updatedAt: new Date().toISOString() }, series, number);
+
+    try {
+      await store.set(col, existing.id, updated);
+    } catch (e) {
+      await releaseNumberClaims(entity, updated, before);
+      throw e;
+    }
+    await logHistory(req, entity, "update", before, updated);
+
+    res.json({ success: true, number, data: updated });
+  } catch (e) {
+    console.error(`POST /${ENTITY_COLLECTIONS[entity]}/:id/numbers/:series error:`, e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to assign number.",
+    });
+  }
+};
+
+app.post("/records/:id/numbers/:series", requireRole("encoder"), assignNumberRoute("record"));
+app.post("/clearances/:id/numbers/:series", requireRole("encoder"), assignNumberRoute("clearance"));
+
+// -----------------------------
+// RECORDS ROUTES
+// -----------------------------
+const buildRecordPayload = (body = {}, existing = null) => {
+  const id = existing?.id || body.id || makeId();
+
+  return fillRecordValidity(ensureEntityKey({
+    ...(existing || {}),
+    ...pickAllowedRecordFields({ ...(existing || {}), ...body }),
+    id: String(id),
+    entityKey: normalizeEntityKey(existing?.entityKey || body.entityKey || ""),
+    createdAt: existing?.createdAt || body.createdAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString(),
+  }), existing);
+};
+
+app.post("/records", requireRole("encoder"), async (req, res) => {
+  try {
+    const payload = buildRecordPayload(req.body);
+
+    if (!normalize(payload.ownerName) && !normalize(payload.establishmentName)) {
+      return res.status(400).json({
+        success: false,
+        message: "Owner name or establishment name is required.",
+      });
+    }
+
+    if (await store.get("records", payload.id)) {
+      return res.status(409).json({
+        success: false,
+        message: "Record already exists.",
+      });
+    }
+
+    const conflict = await saveClaimed("record", payload, null, async () => {
+      const orConflict = await claimReceipt(req, "record", payload);
+      if (orConflict) return orConflict;
+
+      payload.status = inferRecordStatus(payload);
+      payload.statusAt = payload.createdAt;
+
+      await store.set("records", payload.id, payload);
+    });
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        message: conflict,
+      });
+    }
+
+    await logHistory(req, "record", "create", null, payload);
+
+    res.json({ success: true, data: payload });
+  } catch (e) {
+    console.error("POST /records error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to save record.",
+    });
+  }
+});
+
+app.get("/records", requireRole("encoder"), async (req, res) => {
+  try {
+    // equality filters go to the store, free text is matched in memory
+    const where = pickFilters({
+      entityKey: normalizeEntityKey(req.query.entityKey),
+      fsicAppNo: normalize(req.query.fsicAppNo),
+      fsicNo: normalize(req.query.fsicNo),
+      natureOfInspection: normalize(req.query.natureOfInspection),
+    });
+
+    const q = normalize(req.query.q).toLowerCase();
+    const status = normalize(req.query.status).toLowerCase();
+
+    // status is filtered in memory too: older records only have it inferred
+    const items = (await store.list("records", { where }))
+      .map((r) => withRecordStatus(ensureEntityKey(r)))
+      .filter((r) => !status || r.status === status)
+      .filter((r) => {
+        if (!q) return true;
+        return [r.ownerName, r.establishmentName, r.businessAddress, r.fsicAppNo, r.fsicNo]
+          .some((v) => normalize(v).toLowerCase().includes(q));
+      })
+      .sort((a, b) => String(b.createdAt || "").localeCompare(String(a.createdAt || "")))
+      .map((r) => withValidity("record", r));
+
+    res.json(items);
+  } catch (e) {
+    console.error("GET /records error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch records.",
+    });
+  }
+});
+
+app.get("/records/:id", requireRole("encoder"), async (req, res) => {
+  try {
+    const record = await findRecordById(req.params.id);
+
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: "Record not found.",
+      });
+    }
+
+    res.json({
+      ...withValidity("record", withRecordStatus(record)),
+      orMismatch: await hasOrMismatch("record", record),
+    });
+  } catch (e) {
+    console.error("GET /records/:id error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch record.",
+    });
+  }
+});
+
+app.get("/records/:id/history", requireRole("encoder"), sendHistory("record"));
+
+app.put("/records/:id", requireRole("encoder"), async (req, res) => {
+  try {
+    const active = await store.get("records", req.params.id);
+
+    if (!active) {
+      return res.status(404).json({
+        success: false,
+        message: "Record not found.",
+      });
+    }
+
+    const existing = ensureEntityKey(active);
+    const merged = buildRecordPayload(req.body, existing);
+
+    const conflict = await saveClaimed("record", merged, existing, async () => {
+      const orConflict = await claimReceipt(req, "record", merged, existing);
+      if (orConflict) return orConflict;
+
+      await store.set("records", existing.id, merged);
+    });
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        message: conflict,
+      });
+    }
+
+    await logHistory(req, "record", "update", existing, merged);
+
+    res.json({ success: true, data: merged });
+  } catch (e) {
+    console.error("PUT /records/:id error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update record.",
+    });
+  }
+});
+
+app.delete("/records/:id", requireRole("chief"), async (req, res) => {
+  try {
+    const existing = await store.get("records", req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: "Record not found.",
+      });
+    }
+
+    await store.delete("records", existing.id);
+    await releaseNumberClaims("record", existing);
+    await releaseRenewal(existing);
+    await logHistory(req, "record", "delete", existing, null);
+    await releaseReceiptClaim("record", existing);
+
+    res.json({ success: true });
+  } catch (e) {
+    console.error("DELETE /records/:id error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete record.",
+    });
+  }
+});
+
+// -----------------------------
+// ARCHIVE
+// -----------------------------
+// records live under archive/{YYYY-MM}/records/{id}; "archives" is the older
+// spelling some stations still have and is read but never written
+const ARCHIVE_COLLECTIONS = ["archive", "archives"];
+const isArchiveMonth = (v) => /^\d{4}-(0[1-9]|1[0-2])$/.test(String(v || ""));
+
+const recordMonth = (r) => toISODate(r.createdAt || r.dateInspected).slice(0, 7);
+
+const archiveRecordsCol = (colName, month) => `${colName}/${month}/records`;
+
+// archived records of every month matching `where`
+const findArchivedRecords = async (where) => {
+  const found = [];
+  for (const colName of ARCHIVE_COLLECTIONS) {
+    for (const m of await store.list(colName)) {
+      const col = archiveRecordsCol(colName, m.id);
+      for (const r of await store.list(col, { where })) found.push({ ...r, archivedIn: col });
+    }
+  }
+  return found;
+};
+
+const findArchivedRecord = async (month, id) => {
+  for (const colName of ARCHIVE_COLLECTIONS) {
+    const archived = await store.get(archiveRecordsCol(colName, month), id);
+    if (archived) return { colName, record: ensureEntityKey(archived) };
+  }
+  return null;
+};
+
+const refreshArchiveCount = async (colName, month) => {
+  const count = await store.count(archiveRecordsCol(colName, month));
+  await store.set(
+    colName,
+    month,
+    { month, count, updatedAt: new Date().toISOString() },
+    { merge: true }
+  );
+  return count;
+};
+
+app.post("/archive/:month", requireRole("chief"), async (req, res) => {
+  try {
+    const month = String(req.params.month || "");
+    if (!isArchiveMonth(month)) {
+      return res.status(400).json({
+        success: false,
+        message: "Month must be in YYYY-MM format.",
+      });
+    }
+
+    const onlyIds = Array.isArray(req.body?.ids) ? req.body.ids.map(String) : null;
+
+    const toArchive = (await store.list("records"))
+      .map(ensureEntityKey)
+      .filter((r) => recordMonth(r) === month)
+      .filter((r) => !onlyIds || onlyIds.includes(String(r.id)));
+
+    const archivedAt = new Date().toISOString();
+    const archiveCol = archiveRecordsCol("archive", month);
+
+    const ops = toArchive.flatMap((r) => {
+      const entry = buildHistoryEntry(req, "record", "archive", r, r);
+      return [
+        { op: "set", col: archiveCol, id: r.id, data: { ...r, archivedAt, archiveMonth: month } },
+        { op: "delete", col: "records", id: r.id },
+        { op: "set", col: "history", id: entry.id, data: { ...entry, archiveMonth: month } },
+      ];
+    });
+    await store.commit(ops);
+
+    const count = await refreshArchiveCount("archive", month);
+
+    res.json({
+      success: true,
+      month,
+      archived: toArchive.length,
+      count,
+    });
+  } catch (e) {
+    console.error("POST /archive/:month error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to archive records.",
+    });
+  }
+});
+
+app.get("/archive", requireRole("encoder"), async (req, res) => {
+  try {
+    const months = new Map();
+
+    for (const colName of ARCHIVE_COLLECTIONS) {
+      for (const m of await store.list(colName)) {
+        const current = months.get(m.id) || { month: m.id, count: 0 };
+        current.count += await store.count(archiveRecordsCol(colName, m.id));
+        months.set(m.id, current);
+      }
+    }
+
+    const items = [...months.values()].sort((a, b) => b.month.localeCompare(a.month));
+
+    res.json(items);
+  } catch (e) {
+    console.error("GET /archive error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch archive months.",
+    });
+  }
+});
+
+app.get("/archive/:month/records", requireRole("encoder"), async (req, res) => {
+  try {
+    const month = String(req.params.month || "");
+    const byId = new Map();
+
+    for (const colName of ARCHIVE_COLLECTIONS) {
+      for (const r of await store.list(archiveRecordsCol(colName, month))) {
+        if (!byId.has(r.id)) byId.set(r.id, ensureEntityKey(r));
+      }
+    }
+
+    const items = [...byId.values()].sort((a, b) =>
+      String(b.createdAt || "").localeCompare(String(a.createdAt || ""))
+    );
+
+    res.json(items);
+  } catch (e) {
+    console.error("GET /archive/:month/records error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch archived records.",
+    });
+  }
+});
+
+app.post("/archive/:month/records/:id/restore", requireRole("chief"), async (req, res) => {
+  try {
+    const month = String(req.params.month || "");
+    const found = await findArchivedRecord(month, req.params.id);
+
+    if (!found) {
+      return res.status(404).json({
+        success: false,
+        message: "Archived record not found.",
+      });
+    }
+
+    if (await store.get("records", found.record.id)) {
+      return res.status(409).json({
+        success: false,
+        message: "An active record with this id already exists.",
+      });
+    }
+
+    const { archivedAt, archiveMonth, ...rest } = found.record;
+    const restored = { ...rest, restoredAt: new Date().toISOString() };
+    const entry = buildHistoryEntry(req, "record", "restore", found.record, restored);
+
+    await store.commit([
+      { op: "set", col: "records", id: restored.id, data: restored },
+      { op: "delete", col: archiveRecordsCol(found.colName, month), id: restored.id },
+      { op: "set", col: "history", id: entry.id, data: { ...entry, archiveMonth: month } },
+    ]);
+
+    await refreshArchiveCount(found.colName, month);
+
+    res.json({ success: true, data: restored });
+  } catch (e) {
+    console.error("POST /archive/:month/records/:id/restore error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to restore record.",
+    });
+  }
+});
+
+// -----------------------------
+// RENEWALS
+// -----------------------------
+// A renewal is a new record under the same entityKey. `renewedFrom` and
+// `renewedBy` link the years together.
+const RENEWAL_NATURE = "RENEWAL";
+
+// establishment and building data carry over; inspection, numbers and
+// payment are per year
+const RENEWAL_CARRY_FIELDS = [
+  "ownerName",
+  "establishmentName",
+  "businessAddress",
+  "contactNumber",
+  "occupancyType",
+  "buildingDesc",
+  "floorArea",
+  "buildingHeight",
+  "storeyCount",
+  "highRise",
+  "chiefName",
+  "chiefPosition",
+  "marshalName",
+  "marshalPosition",
+];
+
+const listEstablishmentRecords = async (entityKey) => {
+  const items = (await store.list("records", { where: { entityKey } })).map((r) => ({
+    ...ensureEntityKey(r),
+    archived: false,
+  }));
+
+  for (const colName of ARCHIVE_COLLECTIONS) {
+    for (const m of await store.list(colName)) {
+      const archived = await store.list(archiveRecordsCol(colName, m.id), { where: { entityKey } });
+      items.push(...archived.map((r) => ({ ...ensureEntityKey(r), archived: true, archiveMonth: m.id })));
+    }
+  }
+
+  return items;
+};
+
+// Archived years are read-only and never get `renewedBy`, so each renewal
+// also claims a marker in `renewals` under its predecessor's id. Resolves to
+// the id of the renewal that already holds it, or null.
+const claimRenewal = async (previous, renewal) => {
+  let holder = null;
+  await store.update("renewals", previous.id, (current) => {
+    holder = current && current.renewalId !== String(renewal.id) ? current : null;
+    return (
+      holder || {
+        previousId: String(previous.id),
+        renewalId: String(renewal.id),
+        at: new Date().toISOString(),
+      }
+    );
+  });
+  return holder?.renewalId || null;
+};
+
+// lets the predecessor of a deleted or never-saved renewal be renewed again
+const releaseRenewal = async (renewal) => {
+  if (!renewal?.renewedFrom) return;
+  const marker = await store.get("renewals", renewal.renewedFrom);
+  if (marker?.renewalId === String(renewal.id)) await store.delete("renewals", renewal.renewedFrom);
+};
+
+app.post("/records/:id/renew", requireRole("encoder"), async (req, res) => {
+  try {
+    const previous = await findRecordById(req.params.id);
+    if (!previous) {
+      return res.status(404).json({
+        success: false,
+        message: "Record not found.",
+      });
+    }
+
+    // renewals from before the markers are found by their renewedFrom link
+    const renewedBy =
+      previous.renewedBy ||
+      (await listEstablishmentRecords(previous.entityKey)).find(
+        (r) => String(r.renewedFrom) === String(previous.id)
+      )?.id;
+    if (renewedBy) {
+      return res.status(409).json({
+        success: false,
+        message: `Record was already renewed by ${renewedBy}.`,
+      });
+    }
+
+    const carried = Object.fromEntries(
+      RENEWAL_CARRY_FIELDS.map((field) => [field, previous[field] ?? ""])
+    );
+
+    // the body may correct carried fields and add this year's details
+    const { id, ...body } = req.body || {};
+    const payload = buildRecordPayload({
+      ...carried,
+      ...body,
+      natureOfInspection: RENEWAL_NATURE,
+      entityKey: previous.entityKey,
+    });
+    payload.renewedFrom = previous.id;
+    payload.status = inferRecordStatus(payload);
+    payload.statusAt = payload.createdAt;
+
+    const renewal = await claimRenewal(previous, payload);
+    if (renewal) {
+      return res.status(409).json({
+        success: false,
+        message: `Record was already renewed by ${renewal}.`,
+      });
+    }
+
+    let conflict;
+    try {
+      conflict = await saveClaimed("record", payload, null, async () => {
+        const orConflict = await claimReceipt(req, "record", payload);
+        if (orConflict) return orConflict;
+
+        await store.set("records", payload.id, payload);
+      });
+    } finally {
+      // undefined when the save threw, a message when it was refused
+      if (conflict !== null) await releaseRenewal(payload);
+    }
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        message: conflict,
+      });
+    }
+
+    await logHistory(req, "record", "create", null, payload);
+
+    // archived years are read-only; the link is kept on the new record only
+    const active = await store.get("records", previous.id);
+    if (active) {
+      const linked = { ...active, entityKey: previous.entityKey, renewedBy: payload.id };
+      await store.set("records", previous.id, linked);
+      await logHistory(req, "record", "update", active, linked);
+    }
+
+    res.json({ success: true, data: payload });
+  } catch (e) {
+    console.error("POST /records/:id/renew error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to renew record.",
+    });
+  }
+});
+
+// The FSIC chain of one establishment, oldest first, active and archived.
+app.get("/establishments/:entityKey/renewals", requireRole("encoder"), async (req, res) => {
+  try {
+    const entityKey = normalizeEntityKey(req.params.entityKey);
+    const items = await listEstablishmentRecords(entityKey);
+
+    if (!items.length) {
+      return res.status(404).json({
+        success: false,
+        message: "No records for this establishment.",
+      });
+    }
+
+    const chain = items
+      .sort((a, b) =>
+        String(a.createdAt || a.dateInspected || "").localeCompare(
+          String(b.createdAt || b.dateInspected || "")
+        )
+      )
+      .map((r) => ({
+        id: r.id,
+        fsicNo: r.fsicNo || "",
+        fsicAppNo: r.fsicAppNo || "",
+        natureOfInspection: r.natureOfInspection || "",
+        dateInspected: r.dateInspected || "",
+        renewedFrom: r.renewedFrom || "",
+        renewedBy: r.renewedBy || "",
+        archived: r.archived,
+        archiveMonth: r.archiveMonth || "",
+        createdAt: r.createdAt || "",
+        ...describeValidity("record", r),
+      }));
+
+    const latest = items[items.length - 1];
+
+    res.json({
+      entityKey,
+      ownerName: latest.ownerName || "",
+      establishmentName: latest.establishmentName || "",
+      businessAddress: latest.businessAddress || "",
+      current: chain[chain.length - 1],
+      chain,
+    });
+  } catch (e) {
+    console.error("GET /establishments/:entityKey/renewals error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch renewals.",
+    });
+  }
+});
+
+// -----------------------------
+// WORKFLOW
+// -----------------------------
+// applied -> io_issued -> inspected -> (with_deficiencies -> complied ->) paid
+// -> fsic_issued. `status` is only changed through POST /records/:id/transition,
+// never by PUT. Each step stamps its date field when it is still blank and may
+// take the listed fields from the request body.
+const RECORD_STATUSES = [
+  "applied",
+  "io_issued",
+  "inspected",
+  "with_deficiencies",
+  "complied",
+  "paid",
+  "fsic_issued",
+];
+
+const RECORD_WORKFLOW = {
+  applied: { label: "Applied", next: ["io_issued"] },
+  io_issued: {
+    label: "IO issued",
+    next: ["inspected"],
+    stamp: "ioDate",
+    number: "io",
+    accepts: ["ioNumber", "ioDate", "inspectors"],
+  },
+  inspected: {
+    label: "Inspected",
+    next: ["with_deficiencies", "paid"],
+    stamp: "dateInspected",
+    accepts: ["dateInspected", "inspectors", "remarks"],
+  },
+  with_deficiencies: {
+    label: "With deficiencies (NFSI/NTC)",
+    next: ["complied"],
+    accepts: ["defects", "remarks"],
+  },
+  complied: {
+    label: "Complied",
+    next: ["paid", "with_deficiencies"],
+    stamp: "compliedDate",
+    accepts: ["remarks"],
+  },
+  paid: {
+    label: "Paid",
+    next: ["fsic_issued"],
+    stamp: "orDate",
+    accepts: ["orNumber", "orAmount", "orDate"],
+    requires: [["orNumber", "OR number is required."]],
+  },
+  // the FSIC number is drawn here, so dropped applications leave no gaps
+  fsic_issued: {
+    label: "FSIC issued",
+    next: [],
+    stamp: "fsicIssuedDate",
+    number: "fsic",
+    role: "marshal",
+    accepts: ["fsicNo"],
+  },
+};
+
+// NFSI first; an NTC follows when the NFSI was not complied with
+const DEFICIENCY_NOTICES = {
+  nfsi: { number: "nfsi", stamp: "nfsiDate" },
+  ntc: { number: "ntc", stamp: "ntcDate" },
+};
+
+// Records saved before the workflow existed get a status from their data.
+const inferRecordStatus = (r = {}) => {
+  if (RECORD_STATUSES.includes(r.status)) return r.status;
+  if (normalize(r.orNumber)) return "paid";
+  if (normalize(r.ntcNumber) || normalize(r.nfsiNumber)) return "with_deficiencies";
+  if (normalize(r.dateInspected)) return "inspected";
+  if (normalize(r.ioNumber)) return "io_issued";
+  return "applied";
+};
+
+const withRecordStatus = (r) => (r ? { ...r, status: inferRecordStatus(r) } : r);
+
+const statusReached = (r, status) =>
+  RECORD_STATUSES.indexOf(inferRecordStatus(r)) >= RECORD_STATUSES.indexOf(status);
+
+// Why a record may not be printed as `type` yet, or null. PDF drafts skip
+// this; a DOCX draft is an editable certificate, so it is gated like a print.
+const printBlockedReason = (record, type, mode = "final", format = "pdf") => {
+  if (mode === "draft" && format === "pdf") return null;
+  const status = inferRecordStatus(record);
+
+  if (getCertificateType("record", type)) {
+    if (mode === "copy" && status !== "fsic_issued") {
+      return "FSIC copies can only be printed after the FSIC is issued.";
+    }
+    if (!["paid", "fsic_issued"].includes(status)) {
+      return `FSIC cannot be printed while the record is ${RECORD_WORKFLOW[status].label.toLowerCase()}; it must be paid first.`;
+    }
+    if (!normalize(record.orNumber)) {
+      return "This record has no OR number (it may have been voided); enter the OR number before printing the FSIC.";
+    }
+    if (!normalize(record.fsicNo)) {
+      return "FSIC number is drawn when the FSIC is issued; issue it before printing.";
+    }
+    return null;
+  }
+
+  if (type === "io" && !statusReached(record, "io_issued")) {
+    return "Inspection Order has not been issued for this record.";
+  }
+
+  if (
+    ["nfsi", "reinspection"].includes(type) &&
+    !normalize(record.nfsiNumber) &&
+    !normalize(record.ntcNumber) &&
+    !["with_deficiencies", "complied"].includes(status)
+  ) {
+    return "No deficiencies were recorded for this record.";
+  }
+
+  return null;
+};
+
+app.get("/records/:id/workflow", requireRole("encoder"), async (req, res) => {
+  try {
+    const record = await findRecordById(req.params.id);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: "Record not found.",
+      });
+    }
+
+    const status = inferRecordStatus(record);
+
+    res.json({
+      status,
+      label: RECORD_WORKFLOW[status].label,
+      next: RECORD_WORKFLOW[status].next.map((to) => ({
+        status: to,
+        label: RECORD_WORKFLOW[to].label,
+        role: RECORD_WORKFLOW[to].role || "encoder",
+      })),
+      steps: RECORD_STATUSES.map((s) => ({
+        status: s,
+        label: RECORD_WORKFLOW[s].label,
+        reached: statusReached(record, s),
+        date: RECORD_WORKFLOW[s].stamp ? record[RECORD_WORKFLOW[s].stamp] || "" : "",
+      })),
+    });
+  } catch (e) {
+    console.error("GET /records/:id/workflow error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch record workflow.",
+    });
+  }
+});
+
+// body: { to, date?, notice?: "nfsi" | "ntc", ...fields the step accepts }
+app.post("/records/:id/transition", requireRole("encoder"), async (req, res) => {
+  try {
+    const active = await store.get("records", req.params.id);
+    if (!active) {
+      return res.status(404).json({
+        success: false,
+        message: "Record not found.",
+      });
+    }
+
+    const existing = ensureEntityKey(active);
+    const from = inferRecordStatus(existing);
+    const to = normalize(req.body?.to).toLowerCase();
+    const step = RECORD_WORKFLOW[to];
+
+    if (!step) {
+      return res.status(400).json({
+        success: false,
+        message: `Status must be one of: ${RECORD_STATUSES.join(", ")}.`,
+      });
+    }
+
+    if (!RECORD_WORKFLOW[from].next.includes(to)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot move from ${from} to ${to}.`,
+        allowed: RECORD_WORKFLOW[from].next,
+      });
+    }
+
+    if (step.role && !hasRole(req.user, step.role)) {
+      return res.status(403).json({
+        success: false,
+        message: `Requires ${step.role} access.`,
+      });
+    }
+
+    const body = req.body || {};
+    const accepted = Object.fromEntries(
+      (step.accepts || []).filter((f) => body[f] !== undefined).map((f) => [f, body[f]])
+    );
+    const next = buildRecordPayload(accepted, existing);
+
+    const date = toISODate(body.date || new Date());
+    if (!date) {
+      return res.status(400).json({
+        success: false,
+        message: "Date is not valid.",
+      });
+    }
+
+    const notice = to === "with_deficiencies" ? normalize(body.notice || "nfsi").toLowerCase() : "";
+    if (notice && !DEFICIENCY_NOTICES[notice]) {
+      return res.status(400).json({
+        success: false,
+        message: "Notice must be nfsi or ntc.",
+      });
+    }
+
+    for (const [field, message] of step.requires || []) {
+      if (!normalize(next[field])) {
+        return res.status(400).json({
+          success: false,
+          message,
+        });
+      }
+    }
+
+    const conflict = await saveClaimed("record", next, existing, async () => {
+      const numberSeries = step.number || DEFICIENCY_NOTICES[notice]?.number;
+      if (numberSeries && !normalize(next[NUMBER_SERIES[numberSeries].fields[0]])) {
+        setSeriesNumber(next, numberSeries, await allocateNumber(numberSeries, next));
+      }
+
+      const stamp = step.stamp || DEFICIENCY_NOTICES[notice]?.stamp;
+      if (stamp && !normalize(next[stamp])) next[stamp] = date;
+
+      const orConflict = await claimReceipt(req, "record", next, existing);
+      if (orConflict) return orConflict;
+
+      fillRecordValidity(next, existing);
+      next.status = to;
+      next.statusAt = new Date().toISOString();
+
+      await store.set("records", existing.id, next);
+    });
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        message: conflict,
+      });
+    }
+
+    await logHistory(req, "record", "update", existing, next);
+
+    // a paid record whose OR amount differs from its assessment is flagged
+    const assessment = to === "paid" ? validAssessment(next) : null;
+    const payment = assessment ? describePayment("record", next, assessment) : null;
+
+    res.json({ success: true, from, to, data: next, ...(payment ? { payment } : {}) });
+  } catch (e) {
+    console.error("POST /records/:id/transition error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to change record status.",
+    });
+  }
+});
+
+// -----------------------------
+// DEFECTS
+// -----------------------------
+// Defects found on inspection are kept on the record as `defectItems`:
+//   { id, category, codeRef, description, deadline, resolved, resolvedAt,
+//     createdAt, createdBy }
+// They are only changed through these routes, never by PUT /records/:id.
+const DEFECT_COMPLIANCE_DAYS = Math.max(1, Number(process.env.DEFECT_COMPLIANCE_DAYS) || 15);
+
+const buildDefectItem = (body = {}, existing = null, req = null) => {
+  const now = new Date();
+  const resolved =
+    body.resolved === undefined
+      ? Boolean(existing?.resolved)
+      : body.resolved === true || isTruthyFlag(body.resolved);
+
+  return {
+    id: existing?.id || makeId(),
+    category: normalize(body.category ?? existing?.category),
+    codeRef: normalize(body.codeRef ?? existing?.codeRef),
+    description: normalize(body.description ?? existing?.description),
+    deadline:
+      toISODate(body.deadline ?? existing?.deadline) ||
+      toISODate(new Date(now.getFullYear(), now.getMonth(), now.getDate() + DEFECT_COMPLIANCE_DAYS)),
+    resolved,
+    resolvedAt: resolved ? existing?.resolvedAt || now.toISOString() : "",
+    resolvedBy: resolved ? existing?.resolvedBy || getActor(req) : "",
+    createdAt: existing?.createdAt || now.toISOString(),
+    createdBy: existing?.createdBy || getActor(req),
+  };
+};
+
+// NFSI / reinspection documents list the defects of the record they belong to
+const withRecordDefects = async (docu) => {
+  if (docu.defectItems || !docu.recordId) return docu;
+  const record = await findRecordById(docu.recordId);
+  return record?.defectItems ? { ...docu, defectItems: record.defectItems } : docu;
+};
+
+// a deadline that does not parse (hand-edited data) counts as no deadline
+const describeDefect = (d) => {
+  const deadline = parseDateValue(d.deadline);
+  const daysLeft = deadline
+    ? Math.round((startOfDay(deadline) - startOfDay(new Date())) / DAY_MS)
+    : null;
+  return { ...d, daysLeft, overdue: !d.resolved && daysLeft !== null && daysLeft < 0 };
+};
+
+const saveDefectItems = async (req, existing, defectItems) => {
+  const next = { ...existing, defectItems, updatedAt: new Date().toISOString() };
+  await store.set("records", existing.id, next);
+  await logHistory(req, "record", "update", existing, next);
+  return next;
+};
+
+const loadActiveRecord = async (req, res) => {
+  const record = await store.get("records", req.params.id);
+  if (!record) {
+    res.status(404).json({
+      success: false,
+      message: "Record not found.",
+    });
+    return null;
+  }
+  return ensureEntityKey(record);
+};
+
+app.get("/records/:id/defects", requireRole("encoder"), async (req, res) => {
+  try {
+    const record = await findRecordById(req.params.id);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: "Record not found.",
+      });
+    }
+
+    const items = (record.defectItems || []).map(describeDefect);
+    res.json({
+      open: items.filter((d) => !d.resolved).length,
+      overdue: items.filter((d) => d.overdue).length,
+      items,
+    });
+  } catch (e) {
+    console.error("GET /records/:id/defects error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch defects.",
+    });
+  }
+});
+
+// body: one defect, or { items: [defects] }
+app.post("/records/:id/defects", requireRole("inspector"), async (req, res) => {
+  try {
+    const existing = await loadActiveRecord(req, res);
+    if (!existing) return;
+
+    const incoming = Array.isArray(req.body?.items) ? req.body.items : [req.body || {}];
+    const added = incoming.map((body) => buildDefectItem(body, null, req));
+
+    if (!added.length || added.some((d) => !d.description)) {
+      return res.status(400).json({
+        success: false,
+        message: "Each defect needs a description.",
+      });
+    }
+
+    const saved = await saveDefectItems(req, existing, [...(existing.defectItems || []), ...added]);
+    res.json({ success: true, data: added.map(describeDefect), record: saved });
+  } catch (e) {
+    console.error("POST /records/:id/defects error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to add defects.",
+    });
+  }
+});
+
+app.put("/records/:id/defects/:defectId", requireRole("inspector"), async (req, res) => {
+  try {
+    const existing = await loadActiveRecord(req, res);
+    if (!existing) return;
+
+    const items = existing.defectItems || [];
+    const i = items.findIndex((d) => d.id === req.params.defectId);
+    if (i < 0) {
+      return res.status(404).json({
+        success: false,
+        message: "Defect not found.",
+      });
+    }
+
+    const updated = buildDefectItem(req.body || {}, items[i], req);
+    if (!updated.description) {
+      return res.status(400).json({
+        success: false,
+        message: "Description cannot be blank.",
+      });
+    }
+
+    const next = [...items];
+    next[i] = updated;
+    const saved = await saveDefectItems(req, existing, next);
+
+    res.json({ success: true, data: describeDefect(updated), record: saved });
+  } catch (e) {
+    console.error("PUT /records/:id/defects/:defectId error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update defect.",
+    });
+  }
+});
+
+app.delete("/records/:id/defects/:defectId", requireRole("chief"), async (req, res) => {
+  try {
+    const existing = await loadActiveRecord(req, res);
+    if (!existing) return;
+
+    const items = existing.defectItems || [];
+    if (!items.some((d) => d.id === req.params.defectId)) {
+      return res.status(404).json({
+        success: false,
+        message: "Defect not found.",
+      });
+    }
+
+    await saveDefectItems(
+      req,
+      existing,
+      items.filter((d) => d.id !== req.params.defectId)
+    );
+
+    res.json({ success: true });
+  } catch (e) {
+    console.error("DELETE /records/:id/defects/:defectId error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete defect.",
+    });
+  }
+});
+
+// Establishments with open defects whose compliance deadline has passed, or
+// falls within `days` from today, most overdue first.
+app.get("/reinspections/due", requireRole("inspector"), async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? 0 : Number(req.query.days);
+    if (!Number.isInteger(days) || days < 0 || days > 365) {
+      return res.status(400).json({
+        success: false,
+        message: "Days must be a whole number between 0 and 365.",
+      });
+    }
+
+    const items = (await store.list("records"))
+      .map(ensureEntityKey)
+      .map((r) => {
+        const open = openDefectItems(r).map(describeDefect);
+        const due = open.filter((d) => d.daysLeft !== null && d.daysLeft <= days);
+        return { r, open, due };
+      })
+      .filter(({ due }) => due.length)
+      .map(({ r, open, due }) => {
+        const earliest = due.reduce((a, b) => (a.daysLeft <= b.daysLeft ? a : b));
+        return {
+          recordId: r.id,
+          entityKey: r.entityKey,
+          status: inferRecordStatus(r),
+          ownerName: r.ownerName || "",
+          establishmentName: r.establishmentName || "",
+          businessAddress: r.businessAddress || "",
+          contactNumber: r.contactNumber || "",
+          nfsiNumber: r.nfsiNumber || "",
+          ntcNumber: r.ntcNumber || "",
+          openDefects: open.length,
+          dueDefects: due.length,
+          earliestDeadline: earliest.deadline,
+          daysOverdue: Math.max(0, -earliest.daysLeft),
+          defects: due,
+        };
+      })
+      .sort((a, b) => String(a.earliestDeadline).localeCompare(String(b.earliestDeadline)));
+
+    res.json({ days, count: items.length, items });
+  } catch (e) {
+    console.error("GET /reinspections/due error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch due reinspections.",
+    });
+  }
+});
+
+// -----------------------------
+// FEES
+// -----------------------------
+// The fee schedule is a list of rules kept in "feeSchedule/current":
+//   { group, entity, natureOfInspection, occupancyType, type,
+//     minFloorArea, maxFloorArea, label, amount, perSqm, minimum }
+// Blank match fields match anything (case-insensitive). Within a group only
+// the first matching rule is charged; a rule charges amount + perSqm x floor
+// area, but never less than `minimum`. Floor area bounds are [min, max).
+const FEE_ENTITIES = ["record", "clearance"];
+
+const DEFAULT_FEE_SCHEDULE = [
+  { group: "inspection", entity: "record", natureOfInspection: RENEWAL_NATURE, label: "Fire Safety Inspection Fee (Renewal)", amount: 300 },
+  { group: "inspection", entity: "record", label: "Fire Safety Inspection Fee", amount: 500 },
+  { group: "floorArea", entity: "record", minFloorArea: 0, maxFloorArea: 100, label: "Floor Area Fee (below 100 sq.m.)", amount: 200 },
+  { group: "floorArea", entity: "record", minFloorArea: 100, label: "Floor Area Fee", perSqm: 2, minimum: 200 },
+  { group: "clearance", entity: "clearance", type: "conveyance", label: "Conveyance Clearance Fee", amount: 500 },
+  { group: "clearance", entity: "clearance", type: "storage", label: "Storage Clearance Fee", amount: 500 },
+  { group: "clearance", entity: "clearance", type: "hotworks", label: "Hot Works Clearance Fee", amount: 500 },
+  { group: "clearance", entity: "clearance", type: "firedrill", label: "Fire Drill Certification Fee", amount: 300 },
+  { group: "clearance", entity: "clearance", type: "fumigation", label: "Fumigation/Fogging Clearance Fee", amount: 500 },
+  { group: "clearance", entity: "clearance", type: "seminar", label: "Fire Safety Seminar Fee", amount: 300 },
+  { group: "clearance", entity: "clearance", type: "firesafety", label: "Fire Safety Clearance Fee", amount: 500 },
+  { group: "clearance", entity: "clearance", type: "fireworks", label: "Fireworks Display Clearance Fee", amount: 1000 },
+];
+
+// "₱1,250.00" -> 1250; null when blank or not a number
+const parseAmount = (v) => {
+  const text = normalize(v).replace(/[₱,\s]|php|p(?=\d)/gi, "");
+  if (!text) return null;
+  const n = Number(text);
+  return Number.isFinite(n) ? n : null;
+};
+
+const roundAmount = (n) => Math.round(n * 100) / 100;
+
+const buildFeeRule = (body = {}) => {
+  const optionalNumber = (v) => (normalize(v) === "" ? null : parseAmount(v) ?? NaN);
+  return {
+    group: normalize(body.group),
+    entity: normalize(body.entity).toLowerCase(),
+    natureOfInspection: normalize(body.natureOfInspection).toUpperCase(),
+    occupancyType: normalize(body.occupancyType).toUpperCase(),
+    type: normalize(body.type).toLowerCase(),
+    minFloorArea: optionalNumber(body.minFloorArea),
+    maxFloorArea: optionalNumber(body.maxFloorArea),
+    label: normalize(body.label),
+    amount: optionalNumber(body.amount) ?? 0,
+    perSqm: optionalNumber(body.perSqm) ?? 0,
+    minimum: optionalNumber(body.minimum) ?? 0,
+  };
+};
+
+// returns an error message for the first bad rule, or null
+const validateFeeRules = (rules) => {
+  if (!Array.isArray(rules) || !rules.length) return "Fee schedule needs at least one rule.";
+
+  for (const [i, rule] of rules.entries()) {
+    const at = `Rule ${i + 1}`;
+    if (!rule.group || !rule.label) return `${at}: group and label are required.`;
+    if (!FEE_ENTITIES.includes(rule.entity)) return `${at}: entity must be record or clearance.`;
+    if (rule.type && !getCertificateType("clearance", rule.type)) {
+      return `${at}: unknown clearance type "${rule.type}".`;
+    }
+    if (rule.type && rule.entity !== "clearance") return `${at}: type only applies to clearances.`;
+    for (const field of ["amount", "perSqm", "minimum", "minFloorArea", "maxFloorArea"]) {
+      if (Number.isNaN(rule[field]) || rule[field] < 0) return `${at}: ${field} must be a positive number.`;
+    }
+    if (!rule.amount && !rule.perSqm && !rule.minimum) return `${at}: amount, perSqm or minimum is required.`;
+    if (rule.minFloorArea !== null && rule.maxFloorArea !== null && rule.minFloorArea >= rule.maxFloorArea) {
+      return `${at}: minFloorArea must be below maxFloorArea.`;
+    }
+  }
+
+  return null;
+};
+
+const getFeeSchedule = async () => {
+  const saved = await store.get("feeSchedule", "current");
+  if (saved?.rules?.length) return saved;
+  return { id: "current", version: 0, rules: DEFAULT_FEE_SCHEDULE.map(buildFeeRule) };
+};
+
+const feeRuleMatches = (rule, kind, entity, floorArea) => {
+  const same = (pattern, value) => !pattern || pattern === normalize(value).toUpperCase();
+
+  if (rule.entity !== kind) return false;
+  if (rule.type && rule.type !== normalize(entity.type).toLowerCase()) return false;
+  if (!same(rule.natureOfInspection, entity.natureOfInspection)) return false;
+  if (!same(rule.occupancyType, entity.occupancyType)) return false;
+
+  if (rule.minFloorArea !== null || rule.maxFloorArea !== null) {
+    if (floorArea === null) return false;
+    if (rule.minFloorArea !== null && floorArea < rule.minFloorArea) return false;
+    if (rule.maxFloorArea !== null && floorArea >= rule.maxFloorArea) return false;
+  }
+
+  return true;
+};
+
+// lines for every group whose first matching rule charges something
+const computeAssessment = (kind, entity, schedule) => {
+  const floorArea = parseAmount(entity.floorArea);
+  const charged = new Set();
+  const lines = [];
+
+  for (const rule of schedule.rules) {
+    if (charged.has(rule.group) || !feeRuleMatches(rule, kind, entity, floorArea)) continue;
+    charged.add(rule.group);
+
+    const amount = roundAmount(Math.max(rule.amount + rule.perSqm * (floorArea || 0), rule.minimum));
+    if (amount > 0) lines.push({ group: rule.group, label: rule.label, amount });
+  }
+
+  return {
+    lines,
+    total: roundAmount(lines.reduce((sum, line) => sum + line.amount, 0)),
+    scheduleVersion: schedule.version,
+  };
+};
+
+// what the Order of Payment says it is for, and the number it refers to
+const paymentSubject = (kind, entity) => {
+  if (kind === "clearance") {
+    return {
+      subject: getCertificateType("clearance", entity.type)?.label || "Clearance",
+      reference: normalize(entity.controlNumber),
+    };
+  }
+  const renewal = normalize(entity.natureOfInspection).toUpperCase() === RENEWAL_NATURE;
+  return {
+    subject: `Fire Safety Inspection Certificate${renewal ? " (Renewal)" : ""}`,
+    reference: normalize(entity.fsicAppNo) || normalize(entity.fsicNo),
+  };
+};
+
+// The amount on the OR is compared with the saved assessment when there is
+// one, else with what the schedule says today.
+const describePayment = (kind, entity, assessment) => {
+  const paid = parseAmount(entity.orAmount) ?? parseAmount(entity.amountPaid);
+  const assessed = assessment?.lines?.length ? assessment.total : null;
+  return {
+    assessed,
+    paid,
+    orMismatch: paid !== null && assessed !== null && Math.abs(paid - assessed) >= 0.01,
+  };
+};
+
+// the fields computeAssessment reads, as saved with the assessment
+const ASSESSMENT_INPUT_FIELDS = ["type", "natureOfInspection", "occupancyType", "floorArea"];
+
+const assessmentInputs = (entity) =>
+  Object.fromEntries(ASSESSMENT_INPUT_FIELDS.map((f) => [f, normalize(entity[f]).toUpperCase()]));
+
+// A saved assessment is stale once the fields it was computed from change.
+// Assessments saved before their inputs were kept are taken as current.
+const isAssessmentStale = (entity) => {
+  const saved = entity.assessment?.inputs;
+  if (!saved) return false;
+  const now = assessmentInputs(entity);
+  return ASSESSMENT_INPUT_FIELDS.some((f) => saved[f] !== now[f]);
+};
+
+// the saved assessment, or null when there is none or it is stale
+const validAssessment = (entity) =>
+  entity.assessment && !isAssessmentStale(entity) ? entity.assessment : null;
+
+const hasOrMismatch = async (kind, entity) =>
+  describePayment(kind, entity, validAssessment(entity) || computeAssessment(kind, entity, await getFeeSchedule()))
+    .orMismatch;
+
+const saveAssessment = async (req, kind, existing, schedule) => {
+  const user = await findUserByUsername(getActor(req));
+  const assessment = {
+    ...computeAssessment(kind, existing, schedule),
+    ...paymentSubject(kind, existing),
+    inputs: assessmentInputs(existing),
+    assessedAt: new Date().toISOString(),
+    assessedBy: getActor(req),
+    assessedByName: user?.displayName || getActor(req),
+  };
+
+  const col = ENTITY_COLLECTIONS[kind];
+  const next = { ...existing, assessment, updatedAt: new Date().toISOString() };
+  await store.set(col, existing.id, next);
+  await logHistory(req, kind, "update", existing, next);
+  return next;
+};
+
+const FEE_ENTITY_LOADERS = {
+  record: async (id) => {
+    const record = await store.get("records", id);
+    return record ? ensureEntityKey(record) : null;
+  },
+  clearance: findClearanceById,
+};
+
+const FEE_ENTITY_LABELS = { record: "Record", clearance: "Clearance" };
+
+app.get("/fees/schedule", requireRole("encoder"), async (req, res) => {
+  try {
+    res.json(await getFeeSchedule());
+  } catch (e) {
+    console.error("GET /fees/schedule error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch fee schedule.",
+    });
+  }
+});
+
+// body: { rules: [...] } replaces the whole schedule
+app.put("/fees/schedule", requireRole("admin"), async (req, res) => {
+  try {
+    const incoming = req.body?.rules;
+    const rules = Array.isArray(incoming) ? incoming.map(buildFeeRule) : incoming;
+    const error = validateFeeRules(rules);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error,
+      });
+    }
+
+    const current = await getFeeSchedule();
+    const schedule = {
+      id: "current",
+      version: Number(current.version || 0) + 1,
+      rules,
+      updatedAt: new Date().toISOString(),
+      updatedBy: getActor(req),
+    };
+    await store.set("feeSchedule", "current", schedule);
+
+    res.json({ success: true, data: schedule });
+  } catch (e) {
+    console.error("PUT /fees/schedule error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to save fee schedule.",
+    });
+  }
+});
+
+// { current, saved, stale, payment }: `current` is what the schedule says
+// now, `saved` is the assessment the Order of Payment was printed from and
+// `stale` says the entry changed since it was saved
+const sendAssessment = (kind) => async (req, res) => {
+  try {
+    const entity =
+      kind === "record" ? await findRecordById(req.params.id) : await findClearanceById(req.params.id);
+    if (!entity) {
+      return res.status(404).json({
+        success: false,
+        message: `${FEE_ENTITY_LABELS[kind]} not found.`,
+      });
+    }
+
+    const current = computeAssessment(kind, entity, await getFeeSchedule());
+    res.json({
+      current,
+      saved: entity.assessment || null,
+      stale: isAssessmentStale(entity),
+      payment: describePayment(kind, entity, validAssessment(entity) || current),
+    });
+  } catch (e) {
+    console.error(`GET ${kind} assessment error:`, e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to compute assessment.",
+    });
+  }
+};
+
+// saves a fresh assessment on the entity, replacing the previous one
+const assessRoute = (kind) => async (req, res) => {
+  try {
+    const existing = await FEE_ENTITY_LOADERS[kind](req.params.id);
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: `${FEE_ENTITY_LABELS[kind]} not found.`,
+      });
+    }
+
+    const saved = await saveAssessment(req, kind, existing, await getFeeSchedule());
+    if (!saved.assessment.lines.length) {
+      return res.status(422).json({
+        success: false,
+        message: "No fee in the schedule applies to this entry.",
+        data: saved.assessment,
+      });
+    }
+
+    res.json({
+      success: true,
+      data: saved.assessment,
+      payment: describePayment(kind, saved, saved.assessment),
+    });
+  } catch (e) {
+    console.error(`POST ${kind} assessment error:`, e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to save assessment.",
+    });
+  }
+};
+
+app.get("/records/:id/assessment", requireRole("encoder"), sendAssessment("record"));
+app.get("/clearances/:id/assessment", requireRole("encoder"), sendAssessment("clearance"));
+app.post("/records/:id/assessment", requireRole("inspector"), assessRoute("record"));
+app.post("/clearances/:id/assessment", requireRole("inspector"), assessRoute("clearance"));
+
+// Prints from the saved assessment; the first final print saves one when
+// there is none yet or it is stale, which takes the role that may assess.
+// Drafts compute it on the fly and save nothing.
+const orderOfPaymentRoute = (kind) => async (req, res) => {
+  try {
+    const output = readOutputOptions(req.query);
+    if (output.error) return res.status(400).send(output.error);
+
+    let entity = await FEE_ENTITY_LOADERS[kind](req.params.id);
+    if (!entity) return res.status(404).send(`${FEE_ENTITY_LABELS[kind]} not found`);
+
+    if (!validAssessment(entity)) {
+      if (output.mode !== "draft" && !hasRole(req.user, "inspector")) {
+        return res
+          .status(403)
+          .send("Fees must be assessed before printing. Requires inspector access.");
+      }
+
+      const schedule = await getFeeSchedule();
+      entity =
+        output.mode === "draft"
+          ? { ...entity, assessment: { ...computeAssessment(kind, entity, schedule), ...paymentSubject(kind, entity) } }
+          : await saveAssessment(req, kind, entity, schedule);
+    }
+
+    if (!entity.assessment.lines.length) {
+      return res.status(422).send("No fee in the schedule applies to this entry.");
+    }
+
+    const def = { type: "payment", ...CERTIFICATE_TYPES.payment };
+    const tpl = await resolveTemplateForEntity(kind, entity, def, { pin: output.mode !== "draft" });
+    generatePDF(entity, tpl.templatePath, `order-of-payment-${kind}-${entity.id}`, res, {
+      ...output,
+      pin: tpl.pin,
+      issuance: { req, kind, def, revisionId: tpl.revisionId },
+    });
+  } catch (e) {
+    console.error(`GET ${kind} order of payment error:`, e);
+    res.status(500).send("Failed to generate Order of Payment.");
+  }
+};
+
+app.get("/records/:id/order-of-payment/pdf", requireRole("encoder"), orderOfPaymentRoute("record"));
+app.get("/clearances/:id/order-of-payment/pdf", requireRole("encoder"), orderOfPaymentRoute("clearance"));
+
+// Records and clearances whose OR amount differs from their assessment.
+// Entries never assessed are checked against the current schedule.
+app.get("/fees/mismatches", requireRole("chief"), async (req, res) => {
+  try {
+    const schedule = await getFeeSchedule();
+    const items = [];
+
+    for (const kind of FEE_ENTITIES) {
+      for (const entity of await store.list(ENTITY_COLLECTIONS[kind])) {
+        const saved = validAssessment(entity);
+        const assessment = saved || computeAssessment(kind, entity, schedule);
+        const payment = describePayment(kind, entity, assessment);
+        if (!payment.orMismatch) continue;
+
+        items.push({
+          kind,
+          id: entity.id,
+          entityKey: entity.entityKey || "",
+          name: entity.establishmentName || entity.ownerName || "",
+          type: kind === "clearance" ? entity.type : "",
+          orNumber: entity.orNumber || "",
+          orDate: entity.orDate || "",
+          assessedFrom: saved ? "saved" : "schedule",
+          ...payment,
+          difference: roundAmount(payment.paid - payment.assessed),
+        });
+      }
+    }
+
+    items.sort((a, b) => String(b.orDate).localeCompare(String(a.orDate)));
+    res.json({ count: items.length, items });
+  } catch (e) {
+    console.error("GET /fees/mismatches error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to check OR amounts.",
+    });
+  }
+});
+
+// -----------------------------
+// RECEIPTS
+// -----------------------------
+// Every OR number on a record or clearance is claimed in "receipts", one
+// document per number (id = receiptKey), so a receipt can back one payment
+// only. Voided receipts stay in the ledger and can never be used again.
+// OR numbers saved before the ledger existed are brought in by
+// POST /receipts/backfill; until then they are looked up on the entries.
+//   { orNumber, orDate, amount, paymentType, kind, entityId, entityKey,
+//     payor, status: "active" | "void", voidReason, voidedAt, voidedBy }
+const receiptKey = (orNumber) => encodeURIComponent(normalize(orNumber).toUpperCase().replace(/\s+/g, ""));
+
+// what the payment was for: "fsic" for records, the clearance type otherwise
+const receiptPaymentType = (kind, entity) =>
+  kind === "record" ? "fsic" : normalize(entity.type).toLowerCase() || "clearance";
+
+const receiptTypeLabel = (type) =>
+  type === "fsic" ? "Fire Safety Inspection Certificate" : CERTIFICATE_TYPES[type]?.label || type;
+
+const buildReceipt = (req, kind, entity, current = null) => {
+  const now = new Date().toISOString();
+  return {
+    id: receiptKey(entity.orNumber),
+    orNumber: normalize(entity.orNumber),
+    orDate: toISODate(entity.orDate) || current?.orDate || toISODate(new Date()),
+    amount: parseAmount(entity.orAmount) ?? parseAmount(entity.amountPaid) ?? 0,
+    paymentType: receiptPaymentType(kind, entity),
+    kind,
+    entityId: String(entity.id),
+    entityKey: normalizeEntityKey(entity.entityKey || ""),
+    payor: normalize(entity.ownerName) || normalize(entity.establishmentName),
+    status: "active",
+    createdAt: current?.createdAt || now,
+    createdBy: current?.createdBy || getActor(req),
+    updatedAt: now,
+  };
+};
+
+const isReceiptOf = (receipt, kind, entity) =>
+  receipt?.kind === kind && String(receipt.entityId) === String(entity.id);
+
+// What saving `entity` does to the ledger, given `current` (the receipt
+// already stored under its OR number): { error } when the number is taken,
+// else { receipt } to write (null when nothing changes) and { release }, the
+// key of the previous number to free. Numbers left unchanged are never
+// rejected, so legacy duplicates stay editable.
+const planReceipt = (req, kind, entity, existing, current) => {
+  const orNumber = normalize(entity.orNumber);
+  const key = orNumber ? receiptKey(orNumber) : "";
+  const previous = normalize(existing?.orNumber) ? receiptKey(existing.orNumber) : "";
+  const release = previous && previous !== key ? previous : null;
+
+  if (!orNumber) return { receipt: null, release };
+
+  const unchanged = key === previous;
+  if (current && (current.status === "void" || !isReceiptOf(current, kind, entity))) {
+    if (unchanged) return { receipt: null, release: null };
+    if (current.status === "void") return { error: `OR number ${orNumber} has been voided.` };
+    return { error: `OR number ${orNumber} is already used by ${current.kind} ${current.entityId}.` };
+  }
+
+  return { receipt: buildReceipt(req, kind, entity, current), release };
+};
+
+const releaseReceipt = async (kind, entity, key) => {
+  const receipt = await store.get("receipts", key);
+  if (isReceiptOf(receipt, kind, entity) && receipt.status !== "void") {
+    await store.delete("receipts", key);
+  }
+};
+
+// an entry other than `except` ({ kind, id }) carrying `orNumber` as saved
+// before the ledger existed, as { kind, entity }, or null. Archived records
+// count too; one found there carries `archivedIn`.
+const findLegacyOrHolder = async (orNumber, except = null) => {
+  const where = { orNumber: normalize(orNumber) };
+  for (const kind of FEE_ENTITIES) {
+    const other = (e) => !(except?.kind === kind && String(e.id) === String(except.id));
+    const entity =
+      (await store.list(ENTITY_COLLECTIONS[kind], { where })).find(other) ||
+      (kind === "record" ? (await findArchivedRecords(where)).find(other) : null);
+    if (entity) return { kind, entity };
+  }
+  return null;
+};
+
+// Claims the OR number of `entity` before it is saved. Returns an error
+// message when the number belongs to another payment or was voided. The OR
+// it replaces stays claimed until the save is through (releaseReceiptClaim).
+const claimReceipt = async (req, kind, entity, existing = null) => {
+  const orNumber = normalize(entity.orNumber);
+  if (!orNumber) return null;
+
+  const key = receiptKey(orNumber);
+  const changed = !normalize(existing?.orNumber) || receiptKey(existing.orNumber) !== key;
+  if (changed && !(await store.get("receipts", key))) {
+    const legacy = await findLegacyOrHolder(orNumber, { kind, id: entity.id });
+    if (legacy) return `OR number ${orNumber} is already used by ${legacy.kind} ${legacy.entity.id}.`;
+  }
+
+  try {
+    await store.update("receipts", key, (current) => {
+      const plan = planReceipt(req, kind, entity, existing, current);
+      if (plan.error) throw Object.assign(new Error(plan.error), { receiptConflict: true });
+      return plan.receipt || current;
+    });
+  } catch (e) {
+    if (e.receiptConflict) return e.message;
+    throw e;
+  }
+  return null;
+};
+
+// Frees the OR `from` carries when `keep` does not carry it: the old OR once
+// a save is through, the new one when it failed, the only one on delete.
+const releaseReceiptClaim = async (kind, from, keep = null) => {
+  const orNumber = normalize(from?.orNumber);
+  if (!orNumber) return;
+
+  const key = receiptKey(orNumber);
+  if (normalize(keep?.orNumber) && receiptKey(keep.orNumber) === key) return;
+  await releaseReceipt(kind, from, key);
+};
+
+const isReportDate = (v) => /^\d{4}-\d{2}-\d{2}$/.test(String(v || "")) && toISODate(v) === v;
+
+const listReceipts = async ({ from, to, status, paymentType } = {}) =>
+  (await store.list("receipts", { where: pickFilters({ status, paymentType }) }))
+    .filter((r) => (!from || r.orDate >= from) && (!to || r.orDate <= to))
+    .sort(
+      (a, b) =>
+        String(a.orDate).localeCompare(String(b.orDate)) ||
+        String(a.orNumber).localeCompare(String(b.orNumber), undefined, { numeric: true })
+    );
+
+// totals per payment type over the active receipts
+const totalByType = (receipts) => {
+  const totals = new Map();
+  for (const r of receipts) {
+    const t = totals.get(r.paymentType) || {
+      paymentType: r.paymentType,
+      label: receiptTypeLabel(r.paymentType),
+      count: 0,
+      total: 0,
+    };
+    t.count += 1;
+    t.total = roundAmount(t.total + Number(r.amount || 0));
+    totals.set(r.paymentType, t);
+  }
+  return [...totals.values()].sort((a, b) => a.label.localeCompare(b.label));
+};
+
+const sumReceipts = (receipts) => roundAmount(receipts.reduce((sum, r) => sum + Number(r.amount || 0), 0));
+
+const buildDailyCollection = (date, receipts) => {
+  const active = receipts.filter((r) => r.status !== "void");
+  return {
+    date,
+    count: active.length,
+    total: sumReceipts(active),
+    byType: totalByType(active),
+    receipts: active,
+    voided: receipts.filter((r) => r.status === "void"),
+  };
+};
+
+const buildMonthlyCollection = (month, receipts) => {
+  const active = receipts.filter((r) => r.status !== "void");
+  const dates = [...new Set(active.map((r) => r.orDate))].sort();
+
+  return {
+    month,
+    count: active.length,
+    total: sumReceipts(active),
+    byType: totalByType(active),
+    days: dates.map((date) => {
+      const day = active.filter((r) => r.orDate === date);
+      return {
+        date,
+        count: day.length,
+        total: sumReceipts(day),
+        byType: Object.fromEntries(totalByType(day).map((t) => [t.paymentType, t.total])),
+      };
+    }),
+    voided: receipts.filter((r) => r.status === "void").length,
+  };
+};
+
+const summarySheet = (byType, total) => [
+  ["Payment Type", "Receipts", "Amount"],
+  ...byType.map((t) => [t.label, t.count, t.total]),
+  ["TOTAL", byType.reduce((n, t) => n + t.count, 0), total],
+];
+
+const collectionWorkbook = (sheets) => {
+  const wb = xlsx.utils.book_new();
+  for (const [name, aoa] of sheets) {
+    xlsx.utils.book_append_sheet(wb, xlsx.utils.aoa_to_sheet(aoa), name);
+  }
+  return xlsx.write(wb, { type: "buffer", bookType: "xlsx" });
+};
+
+const dailyCollectionWorkbook = (report) =>
+  collectionWorkbook([
+    ["Summary", summarySheet(report.byType, report.total)],
+    [
+      "Receipts",
+      [
+        ["OR Number", "OR Date", "Payor", "Payment Type", "Amount", "Status", "Void Reason"],
+        ...[...report.receipts, ...report.voided].map((r) => [
+          r.orNumber,
+          r.orDate,
+          r.payor || "",
+          receiptTypeLabel(r.paymentType),
+          r.status === "void" ? 0 : Number(r.amount || 0),
+          r.status === "void" ? "VOID" : "",
+          r.voidReason || "",
+        ]),
+      ],
+    ],
+  ]);
+
+const monthlyCollectionWorkbook = (report) => {
+  const types = report.byType.map((t) => t.paymentType);
+  return collectionWorkbook([
+    ["Summary", summarySheet(report.byType, report.total)],
+    [
+      "Daily",
+      [
+        ["OR Date", ...report.byType.map((t) => t.label), "Receipts", "Total"],
+        ...report.days.map((d) => [d.date, ...types.map((t) => d.byType[t] || 0), d.count, d.total]),
+        ["TOTAL", ...report.byType.map((t) => t.total), report.count, report.total],
+      ],
+    ],
+  ]);
+};
+
+// ?date=YYYY-MM-DD / ?month=YYYY-MM, optional status and paymentType
+app.get("/receipts", requireRole("encoder"), async (req, res) => {
+  try {
+    const date = normalize(req.query.date);
+    const month = normalize(req.query.month);
+    if ((date && !isReportDate(date)) || (month && !isArchiveMonth(month))) {
+      return res.status(400).json({
+        success: false,
+        message: "Date must be YYYY-MM-DD and month YYYY-MM.",
+      });
+    }
+
+    const items = await listReceipts({
+      from: date || (month && `${month}-01`),
+      to: date || (month && `${month}-31`),
+      status: normalize(req.query.status).toLowerCase(),
+      paymentType: normalize(req.query.paymentType).toLowerCase(),
+    });
+
+    res.json(items);
+  } catch (e) {
+    console.error("GET /receipts error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch receipts.",
+    });
+  }
+});
+
+// Cancelled or spoiled receipts. The number is cleared from the record or
+// clearance that carried it, which then needs a new receipt.
+app.post("/receipts/void", requireRole("chief"), async (req, res) => {
+  try {
+    const orNumber = normalize(req.body?.orNumber);
+    const reason = normalize(req.body?.reason);
+    if (!orNumber || !reason) {
+      return res.status(400).json({
+        success: false,
+        message: "OR number and reason are required.",
+      });
+    }
+
+    let before = null;
+    const now = new Date().toISOString();
+    try {
+      await store.update("receipts", receiptKey(orNumber), (current) => {
+        if (current?.status === "void") {
+          throw Object.assign(new Error("Receipt is already voided."), { receiptConflict: true });
+        }
+        before = current;
+        return {
+          ...(current || {
+            id: receiptKey(orNumber),
+            orNumber,
+            orDate: toISODate(new Date()),
+            amount: 0,
+            paymentType: "",
+            kind: "",
+            entityId: "",
+            createdAt: now,
+            createdBy: getActor(req),
+          }),
+          status: "void",
+          voidReason: reason,
+          voidedAt: now,
+          voidedBy: getActor(req),
+          updatedAt: now,
+        };
+      });
+    } catch (e) {
+      if (!e.receiptConflict) throw e;
+      return res.status(409).json({
+        success: false,
+        message: e.message,
+      });
+    }
+
+    // a number not yet in the ledger may still sit on an entry saved before it
+    const legacy = before?.kind ? null : await findLegacyOrHolder(orNumber);
+    const kind = before?.kind || legacy?.kind;
+    const col = ENTITY_COLLECTIONS[kind];
+    const { archivedIn, ...holder } = legacy?.entity || (col && (await store.get(col, before.entityId))) || {};
+    if (holder.id && receiptKey(holder.orNumber) === receiptKey(orNumber)) {
+      const cleared = { ...holder, orNumber: "", orAmount: "", orDate: "", updatedAt: now };
+      if (kind === "clearance") cleared.amountPaid = "";
+      // a paid record goes back to the step before payment; an issued FSIC
+      // keeps its status but cannot be printed until a new OR is entered
+      if (kind === "record" && inferRecordStatus(holder) === "paid") {
+        cleared.status = normalize(holder.compliedDate) ? "complied" : "inspected";
+        cleared.statusAt = now;
+      }
+      await store.set(archivedIn || col, holder.id, cleared);
+      await logHistory(req, kind, "update", holder, cleared);
+    }
+
+    res.json({ success: true, data: await store.get("receipts", receiptKey(orNumber)) });
+  } catch (e) {
+    console.error("POST /receipts/void error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to void receipt.",
+    });
+  }
+});
+
+// Brings OR numbers saved before the ledger existed into it, so they are
+// checked like any other and counted in the collection reports. The earliest
+// entry keeps a number found on several; the others are reported. An OR with
+// no date is claimed but left out of the reports. ?dryRun=1 only reports.
+app.post("/receipts/backfill", requireRole("admin"), async (req, res) => {
+  try {
+    const dryRun = isTruthyFlag(req.query.dryRun);
+    const ledger = new Set((await store.list("receipts")).map((r) => r.id));
+
+    const entries = [
+      ...(await listRecordsWithArchive()).map((e) => ["record", e]),
+      ...(await store.list("clearances")).map((e) => ["clearance", e]),
+    ]
+      .filter(([, e]) => normalize(e.orNumber))
+      .sort(
+        ([, a], [, b]) =>
+          String(toISODate(a.orDate) || a.createdAt || "").localeCompare(
+            String(toISODate(b.orDate) || b.createdAt || "")
+          )
+      );
+
+    const added = new Map();
+    const duplicates = [];
+    for (const [kind, entity] of entries) {
+      const key = receiptKey(entity.orNumber);
+      if (ledger.has(key)) continue;
+
+      if (added.has(key)) {
+        const first = added.get(key);
+        duplicates.push({
+          orNumber: normalize(entity.orNumber),
+          kind,
+          id: entity.id,
+          heldBy: { kind: first.kind, id: first.entityId },
+        });
+        continue;
+      }
+
+      const { archived, archiveMonth, ...saved } = entity;
+      added.set(key, {
+        ...buildReceipt(req, kind, saved),
+        orDate: toISODate(entity.orDate),
+        backfilled: true,
+      });
+    }
+
+    const receipts = [...added.values()];
+    if (!dryRun) {
+      await store.commit(receipts.map((r) => ({ op: "set", col: "receipts", id: r.id, data: r })));
+    }
+
+    res.json({
+      success: true,
+      dryRun,
+      added: receipts.length,
+      undated: receipts.filter((r) => !r.orDate).length,
+      duplicates,
+    });
+  } catch (e) {
+    console.error("POST /receipts/backfill error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to backfill receipts.",
+    });
+  }
+});
+
+// ?date=YYYY-MM-DD (default today), ?format=json|xlsx
+app.get("/collections/daily", requireRole("encoder"), async (req, res) => {
+  try {
+    const date = normalize(req.query.date) || toISODate(new Date());
+    const format = normalize(req.query.format || "json").toLowerCase();
+    if (!isReportDate(date)) {
+      return res.status(400).json({
+        success: false,
+        message: "Date must be YYYY-MM-DD.",
+      });
+    }
+    if (!["json", "xlsx"].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: "Format must be json or xlsx.",
+      });
+    }
+
+    const report = buildDailyCollection(date, await listReceipts({ from: date, to: date }));
+    if (format === "json") return res.json(report);
+
+    sendSpreadsheet(res, dailyCollectionWorkbook(report), `collections-${date}`, "xlsx");
+  } catch (e) {
+    console.error("GET /collections/daily error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to build daily collection report.",
+    });
+  }
+});
+
+// ?month=YYYY-MM (default this month), ?format=json|xlsx
+app.get("/collections/monthly", requireRole("encoder"), async (req, res) => {
+  try {
+    const month = normalize(req.query.month) || toISODate(new Date()).slice(0, 7);
+    const format = normalize(req.query.format || "json").toLowerCase();
+    if (!isArchiveMonth(month)) {
+      return res.status(400).json({
+        success: false,
+        message: "Month must be YYYY-MM.",
+      });
+    }
+    if (!["json", "xlsx"].includes(format)) {
+      return res.status(400).json({
+        success: false,
+        message: "Format must be json or xlsx.",
+      });
+    }
+
+    const receipts = await listReceipts({ from: `${month}-01`, to: `${month}-31` });
+    const report = buildMonthlyCollection(month, receipts);
+    if (format === "json") return res.json(report);
+
+    sendSpreadsheet(res, monthlyCollectionWorkbook(report), `collections-${month}`, "xlsx");
+  } catch (e) {
+    console.error("GET /collections/monthly error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to build monthly collection report.",
+    });
+  }
+});
+
+// -----------------------------
+// STATS
+// -----------------------------
+// Monthly figures for the dashboard and the report to the provincial office.
+// Each event counts in the month of its own date: inspections by
+// dateInspected, FSICs by fsicIssuedDate, NFSI/NTC by their notice dates,
+// clearances by clearanceDate (createdAt when blank), collections by OR date.
+const STATS_DEFAULT_MONTHS = 12;
+
+const monthsBetween = (from, to) => {
+  const months = [];
+  let [y, m] = from.split("-").map(Number);
+  const end = to.slice(0, 7);
+  for (let key = from.slice(0, 7); key <= end; key = `${y}-${String(m).padStart(2, "0")}`) {
+    months.push(key);
+    m += 1;
+    if (m > 12) [y, m] = [y + 1, 1];
+  }
+  return months;
+};
+
+// ?from / ?to as YYYY-MM or YYYY-MM-DD; months widen to their first/last day
+const readStatsRange = (query = {}) => {
+  const bound = (v, end) => {
+    const text = normalize(v);
+    if (!text) return "";
+    if (isArchiveMonth(text)) return end ? `${text}-31` : `${text}-01`;
+    return isReportDate(text) ? text : null;
+  };
+
+  const now = new Date();
+  const from = bound(query.from, false);
+  const to = bound(query.to, true);
+  if (from === null || to === null) return { error: "from and to must be YYYY-MM or YYYY-MM-DD." };
+
+  const range = {
+    from: from || toISODate(new Date(now.getFullYear(), now.getMonth() - (STATS_DEFAULT_MONTHS - 1), 1)),
+    to: to || toISODate(now),
+  };
+  if (range.from > range.to) return { error: "from must not be after to." };
+  return range;
+};
+
+// Active and archived records (archived ones flagged). Records are archived
+// by the month they were created, so months after `to` can be skipped.
+const listRecordsWithArchive = async (to = "") => {
+  const byId = new Map((await store.list("records")).map((r) => [String(r.id), r]));
+
+  for (const colName of ARCHIVE_COLLECTIONS) {
+    for (const m of await store.list(colName)) {
+      if (to && m.id > to.slice(0, 7)) continue;
+      for (const r of await store.list(archiveRecordsCol(colName, m.id))) {
+        if (!byId.has(String(r.id))) byId.set(String(r.id), { ...r, archived: true, archiveMonth: m.id });
+      }
+    }
+  }
+
+  return [...byId.values()];
+};
+
+// Receipts from the ledger, plus OR numbers saved before the ledger existed
+// (each counted once). A legacy OR keeps its own date, blank when it had none,
+// rather than the date it is read on.
+const listCollectionsForStats = async (records, clearances) => {
+  const receipts = await store.list("receipts");
+  const seen = new Set(receipts.map((r) => r.id));
+  const legacy = [];
+  for (const [kind, e] of [
+    ...records.map((r) => ["record", r]),
+    ...clearances.map((c) => ["clearance", c]),
+  ]) {
+    const key = normalize(e.orNumber) ? receiptKey(e.orNumber) : "";
+    if (!key || seen.has(key)) continue;
+    seen.add(key);
+    legacy.push({ ...buildReceipt(null, kind, e), orDate: toISODate(e.orDate) });
+  }
+
+  return [...receipts.filter((r) => r.status !== "void"), ...legacy];
+};
+
+app.get("/stats", requireRole("encoder"), async (req, res) => {
+  try {
+    const range = readStatsRange(req.query);
+    if (range.error) {
+      return res.status(400).json({
+        success: false,
+        message: range.error,
+      });
+    }
+
+    const months = monthsBetween(range.from, range.to);
+    const byMonth = new Map(
+      months.map((month) => [
+        month,
+        {
+          month,
+          inspections: { total: 0, byNature: {} },
+          fsicIssued: 0,
+          nfsi: 0,
+          ntc: 0,
+          clearances: { total: 0, byType: {} },
+          collected: { total: 0, byType: {} },
+        },
+      ])
+    );
+
+    // the bucket for `date`, or null when it falls outside the range
+    const bucket = (date) => {
+      const day = toISODate(date);
+      return day && day >= range.from && day <= range.to ? byMonth.get(day.slice(0, 7)) : null;
+    };
+    const tally = (group, field, key, amount = 1) => {
+      group.total = roundAmount(group.total + amount);
+      group[field][key] = roundAmount((group[field][key] || 0) + amount);
+    };
+
+    const records = await listRecordsWithArchive(range.to);
+    for (const r of records) {
+      const inspected = bucket(r.dateInspected);
+      if (inspected) {
+        tally(inspected.inspections, "byNature", normalize(r.natureOfInspection).toUpperCase() || "UNSPECIFIED");
+      }
+
+      const issued = bucket(r.fsicIssuedDate);
+      if (issued) issued.fsicIssued += 1;
+
+      const nfsi = normalize(r.nfsiNumber) && bucket(r.nfsiDate);
+      if (nfsi) nfsi.nfsi += 1;
+
+      const ntc = normalize(r.ntcNumber) && bucket(r.ntcDate);
+      if (ntc) ntc.ntc += 1;
+    }
+
+    const clearances = await store.list("clearances");
+    for (const c of clearances) {
+      const month = bucket(c.clearanceDate || c.createdAt);
+      if (month) tally(month.clearances, "byType", normalize(c.type).toLowerCase() || "unspecified");
+    }
+
+    // ORs with no date cannot be placed in a month; they are totalled apart
+    const undated = { count: 0, amount: 0 };
+    for (const receipt of await listCollectionsForStats(records, clearances)) {
+      if (!receipt.orDate) {
+        undated.count += 1;
+        undated.amount = roundAmount(undated.amount + Number(receipt.amount || 0));
+        continue;
+      }
+      const month = bucket(receipt.orDate);
+      if (month) tally(month.collected, "byType", receipt.paymentType, Number(receipt.amount || 0));
+    }
+
+    const items = [...byMonth.values()];
+    const sumBy = (pick) => {
+      const out = {};
+      for (const item of items) {
+        for (const [key, n] of Object.entries(pick(item))) out[key] = roundAmount((out[key] || 0) + n);
+      }
+      return out;
+    };
+    const sum = (pick) => roundAmount(items.reduce((n, item) => n + pick(item), 0));
+
+    res.json({
+      from: range.from,
+      to: range.to,
+      totals: {
+        inspections: sum((m) => m.inspections.total),
+        inspectionsByNature: sumBy((m) => m.inspections.byNature),
+        fsicIssued: sum((m) => m.fsicIssued),
+        nfsi: sum((m) => m.nfsi),
+        ntc: sum((m) => m.ntc),
+        clearances: sum((m) => m.clearances.total),
+        clearancesByType: sumBy((m) => m.clearances.byType),
+        collected: sum((m) => m.collected.total),
+        collectedByType: sumBy((m) => m.collected.byType),
+        collectedUndated: undated,
+      },
+      months: items,
+    });
+  } catch (e) {
+    console.error("GET /stats error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to compute statistics.",
+    });
+  }
+});
+
+// -----------------------------
+// VERIFICATION
+// -----------------------------
+// Final prints of certificates carry a QR code that opens GET /verify/:token.
+// The token names the entity and certificate type and is signed with
+// VERIFY_SECRET, so a valid link cannot be made up from a record id. Printed
+// codes must keep working for the life of the certificate, so the secret is
+// kept apart from AUTH_SECRET and never generated: without it, prints that
+// carry a QR code are refused.
+const VERIFY_SECRET = normalize(process.env.VERIFY_SECRET);
+const VERIFY_KINDS = { r: "record", c: "clearance" };
+const VERIFY_SIGNATURE_LENGTH = 22;
+
+const verifySignature = (payload) =>
+  crypto
+    .createHmac("sha256", VERIFY_SECRET)
+    .update(`verify.${payload}`)
+    .digest("base64url")
+    .slice(0, VERIFY_SIGNATURE_LENGTH);
+
+const signVerifyToken = (kind, id, type) => {
+  const payload = base64url(`${kind[0]}:${id}:${type}`);
+  return `${payload}.${verifySignature(payload)}`;
+};
+
+const readVerifyToken = (token) => {
+  if (!VERIFY_SECRET) return null;
+  const [payload, signature, extra] = String(token || "").split(".");
+  if (!payload || !signature || extra !== undefined) return null;
+  if (!safeEqual(signature, verifySignature(payload))) return null;
+
+  const text = Buffer.from(payload, "base64url").toString("utf8");
+  const kind = VERIFY_KINDS[text.slice(0, text.indexOf(":"))];
+  const id = text.slice(text.indexOf(":") + 1, text.lastIndexOf(":"));
+  const def = kind && getCertificateType(kind, text.slice(text.lastIndexOf(":") + 1));
+  return def && id ? { kind, id, def } : null;
+};
+
+// PUBLIC_BASE_URL wins over the request host, which is wrong behind a proxy
+const publicBaseUrl = (req) =>
+  normalize(process.env.PUBLIC_BASE_URL).replace(/\/+$/, "") || `${req.protocol}://${req.get("host")}`;
+
+const carriesQrCode = (kind, def, mode) => mode !== "draft" && Boolean(VERIFY_KINDS[kind[0]]) && def.entity === kind;
+
+// why a print cannot carry its QR code, or null
+const verificationBlockedReason = (kind, def, mode = "final") =>
+  carriesQrCode(kind, def, mode) && !VERIFY_SECRET
+    ? "VERIFY_SECRET is not set; certificates with a QR code cannot be printed."
+    : null;
+
+// adds the QR code to final and copy prints of record and clearance certificates
+const withVerification = async (req, kind, entity, def, mode = "final") => {
+  if (!carriesQrCode(kind, def, mode)) return entity;
+
+  const verifyUrl = `${publicBaseUrl(req)}/verify/${signVerifyToken(kind, entity.id, def.type)}`;
+  const png = await QRCode.toBuffer(verifyUrl, {
+    errorCorrectionLevel: "M",
+    margin: 1,
+    width: QR_SIZE_PX * 3,
+  });
+  return { ...entity, verifyUrl, qrCode: png.toString("base64") };
+};
+
+const VERIFY_STATUS_LABELS = {
+  valid: "Valid",
+  expired: "Expired",
+  superseded: "Superseded by a renewal",
+  not_issued: "Not issued",
+};
+
+const describeCertificate = async ({ kind, id, def }) => {
+  const entity = kind === "record" ? await findRecordById(id) : await findClearanceById(id);
+  if (!entity) return null;
+
+  const { validityStatus, validUntil } = describeValidity(kind, entity);
+  let status = validityStatus === "expired" ? "expired" : "valid";
+  if (kind === "record") {
+    if (!["paid", "fsic_issued"].includes(inferRecordStatus(entity))) status = "not_issued";
+    else if (normalize(entity.renewedBy)) status = "superseded";
+  } else if (!normalize(entity.orNumber) || validityStatus === "unknown") {
+    // an unpaid clearance was never released; one with no validity cannot be vouched for
+    status = "not_issued";
+  }
+
+  return {
+    certificate: def.label,
+    establishment: entity.establishmentName || entity.ownerName || "",
+    owner: entity.ownerName || "",
+    address: entity.businessAddress || "",
+    number: (kind === "record" ? entity.fsicNo : entity.controlNumber) || "",
+    issued: toISODate(kind === "record" ? entity.fsicIssuedDate : entity.clearanceDate),
+    validUntil,
+    status,
+    statusLabel: VERIFY_STATUS_LABELS[status],
+  };
+};
+
+const escapeHtml = (v) =>
+  String(v ?? "").replace(/[&<>"']/g, (c) => ({ "&": "&amp;", "<": "&lt;", ">": "&gt;", '"': "&quot;", "'": "&#39;" })[c]);
+
+const verifyPage = (cert) => {
+  const rows = cert
+    ? [
+        ["Certificate", cert.certificate],
+        ["Number", cert.number],
+        ["Establishment", cert.establishment],
+        ["Owner", cert.owner],
+        ["Address", cert.address],
+        ["Issued", toLongDate(cert.issued)],
+        ["Valid until", toLongDate(cert.validUntil)],
+      ]
+        .map(([label, value]) => `<tr><th>${label}</th><td>${escapeHtml(value) || "—"}</td></tr>`)
+        .join("")
+    : "";
+  const color = cert?.status === "valid" ? "#1b7f3b" : "#b42318";
+  const heading = cert ? escapeHtml(cert.statusLabel) : "Not found";
+  const body = cert
+    ? `<table>${rows}</table>`
+    : "<p>This code does not match any certificate issued by this office.</p>";
+
+  return `<!doctype html><html><head><meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>BFP Certificate Verification</title>
+<style>body{font-family:Arial,sans-serif;max-width:560px;margin:24px auto;padding:0 16px;color:#222}
+h1{font-size:18px}.status{color:#fff;background:${color};padding:10px 14px;border-radius:6px;font-size:20px}
+table{border-collapse:collapse;width:100%;margin-top:16px}th,td{text-align:left;padding:8px;border-bottom:1px solid #ddd}
+th{width:35%;color:#555;font-weight:normal}</style></head><body>
+<h1>Bureau of Fire Protection – Certificate Verification</h1>
+<div class="status">${heading}</div>${body}</body></html>`;
+};
+
+// Public: no login. ?format=json answers with the same details as JSON.
+app.get("/verify/:token", async (req, res) => {
+  try {
+    const token = readVerifyToken(req.params.token);
+    const cert = token ? await describeCertificate(token) : null;
+    const asJson = normalize(req.query.format).toLowerCase() === "json";
+
+    res.status(cert ? 200 : 404);
+    if (asJson) {
+      return res.json(cert ? { success: true, data: cert } : { success: false, message: "Certificate not found." });
+    }
+    res.type("html").send(verifyPage(cert));
+  } catch (e) {
+    console.error("GET /verify/:token error:", e);
+    res.status(500).send("Failed to verify certificate.");
+  }
+});
+
+// -----------------------------
+// ISSUANCES
+// -----------------------------
+// Every PDF that leaves the server as a final print or a copy is logged in
+// "issuances" with its SHA-256, so a PDF someone presents later can be
+// checked byte for byte against what was actually issued.
+//   { sha256, bytes, kind, entityId, entityKey, type, label, mode,
+//     templateRevision, filename, view, issuedBy, issuedAt }
+// A merged batch PDF is logged too, as kind "batch" with the issuances of
+// its documents in `parts`, since that file, not the single PDFs, is the
+// one handed out.
+const sha256Hex = (buf) => crypto.createHash("sha256").update(buf).digest("hex");
+
+const registerIssuance = async (buf, { req, kind, entity, def, revisionId, mode, filename }) => {
+  // the QR image is derived from VERIFY_URL, which is kept
+  const { QR_CODE, ...view } = buildTemplateView(entity);
+  const entry = {
+    id: makeId(),
+    sha256: sha256Hex(buf),
+    bytes: buf.length,
+    kind,
+    entityId: String(entity.id),
+    entityKey: normalizeEntityKey(entity.entityKey || ""),
+    type: def.type,
+    label: def.label,
+    mode,
+    templateRevision: revisionId || BUNDLED_REVISION,
+    filename,
+    view,
+    issuedBy: getActor(req),
+    issuedAt: new Date().toISOString(),
+  };
+  await store.set("issuances", entry.id, entry);
+  return entry;
+};
+
+const registerBatchIssuance = async (buf, { req, mode, filename, parts }) => {
+  const entry = {
+    id: makeId(),
+    sha256: sha256Hex(buf),
+    bytes: buf.length,
+    kind: "batch",
+    entityId: "",
+    entityKey: "",
+    type: "batch",
+    label: `Batch of ${parts.length}`,
+    mode,
+    filename,
+    parts: parts.map((p) => ({ issuanceId: p.id, kind: p.kind, entityId: p.entityId, type: p.type, label: p.label })),
+    issuedBy: getActor(req),
+    issuedAt: new Date().toISOString(),
+  };
+  await store.set("issuances", entry.id, entry);
+  return entry;
+};
+
+// the view is left out of listings; GET /issuances/:id has it
+const issuanceSummary = ({ view, ...entry }) => entry;
+
+// ?kind, ?entityId, ?type, ?from / ?to (YYYY-MM-DD, by issue date)
+app.get("/issuances", requireRole("chief"), async (req, res) => {
+  try {
+    const from = normalize(req.query.from);
+    const to = normalize(req.query.to);
+    if ((from && !isReportDate(from)) || (to && !isReportDate(to))) {
+      return res.status(400).json({
+        success: false,
+        message: "from and to must be YYYY-MM-DD.",
+      });
+    }
+
+    const items = (
+      await store.list("issuances", {
+        where: pickFilters({
+          kind: normalize(req.query.kind).toLowerCase(),
+          entityId: normalize(req.query.entityId),
+          type: normalize(req.query.type).toLowerCase(),
+        }),
+      })
+    )
+      .filter((x) => (!from || x.issuedAt.slice(0, 10) >= from) && (!to || x.issuedAt.slice(0, 10) <= to))
+      .sort((a, b) => String(b.issuedAt).localeCompare(String(a.issuedAt)))
+      .map(issuanceSummary);
+
+    res.json(items);
+  } catch (e) {
+    console.error("GET /issuances error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch issuances.",
+    });
+  }
+});
+
+app.get("/issuances/:id", requireRole("chief"), async (req, res) => {
+  try {
+    const entry = await store.get("issuances", req.params.id);
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: "Issuance not found.",
+      });
+    }
+
+    res.json(entry);
+  } catch (e) {
+    console.error("GET /issuances/:id error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch issuance.",
+    });
+  }
+});
+
+// multipart "file": the PDF to check. Any change to the file, even re-saving
+// it, changes the hash, so only untouched issued PDFs are authentic.
+app.post("/issuances/verify", requireRole("encoder"), upload.single("file"), async (req, res) => {
+  try {
+    const buf = req.file?.buffer;
+    if (!buf?.length) {
+      return res.status(400).json({
+        success: false,
+        message: "Upload the PDF as the \"file\" field.",
+      });
+    }
+    if (buf.subarray(0, 5).toString("latin1") !== "%PDF-") {
+      return res.status(400).json({
+        success: false,
+        message: "File is not a PDF.",
+      });
+    }
+
+    const sha256 = sha256Hex(buf);
+    const matches = (await store.list("issuances", { where: { sha256 } })).sort((a, b) =>
+      String(a.issuedAt).localeCompare(String(b.issuedAt))
+    );
+
+    if (!matches.length) {
+      return res.json({
+        success: true,
+        authentic: false,
+        sha256,
+        message: "This PDF does not match any issued document. It was modified or not issued by this office.",
+      });
+    }
+
+    const [first] = matches;
+    // certificates also report where they stand today (renewed, expired...)
+    const describeCurrent = async ({ kind, entityId, type }) => {
+      const certificate = ["record", "clearance"].includes(kind) && getCertificateType(kind, type);
+      return certificate ? await describeCertificate({ kind, id: entityId, def: certificate }) : null;
+    };
+    res.json({
+      success: true,
+      authentic: true,
+      sha256,
+      issuance: issuanceSummary(first),
+      printCount: matches.length,
+      current: await describeCurrent(first),
+      ...(first.kind === "batch" && {
+        parts: await Promise.all(first.parts.map(async (p) => ({ ...p, current: await describeCurrent(p) }))),
+      }),
+    });
+  } catch (e) {
+    console.error("POST /issuances/verify error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to verify PDF.",
+    });
+  }
+});
+
+// -----------------------------
+// SEARCH
+// -----------------------------
+// GET /search matches in memory, like the ?q= filters of the listings, but
+// across records, clearances and documents at once. Words are compared
+// without case or accents and may carry a typo or two (by word length).
+// A whole query matches a number on its letters and digits only; a single
+// word matches one part of a number, leading zeros aside, so "R10 FSIC 2026-1"
+// finds "R10-FSIC-2026-00001" and "juan 1234567" finds Juan's OR 1234567.
+// Queries are capped in words and in entries scanned (the answer then says
+// `truncated`), since each one is matched on the spot.
+const SEARCH_TEXT_FIELDS = ["ownerName", "establishmentName", "businessAddress"];
+const SEARCH_NUMBER_FIELDS = ["fsicNo", "FSIC_NUMBER", "fsicAppNo", "FSIC_APP_NO", "orNumber", "plateNumber"];
+const SEARCH_PAGE_SIZE = 20;
+const SEARCH_MAX_PAGE_SIZE = 100;
+const SEARCH_MAX_WORDS = 8;
+const SEARCH_MAX_SCANNED = Number(process.env.SEARCH_MAX_SCANNED) || 20000;
+
+const foldText = (v) =>
+  normalize(v)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+
+const searchWords = (v) => foldText(v).split(/[^a-z0-9]+/).filter(Boolean);
+
+const compactText = (v) => foldText(v).replace(/[^a-z0-9]/g, "");
+
+const allowedTypos = (length) => (length <= 3 ? 0 : length <= 6 ? 1 : 2);
+
+// edit distance counting swapped neighbours as one edit; stops early once
+// every path is over `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prev2 = [];
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      row[j] = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        row[j] = Math.min(row[j], prev2[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, row[j]);
+    }
+    if (rowMin > max) return max + 1;
+    [prev2, prev] = [prev, row];
+  }
+  return prev[b.length];
+};
+
+// 0..1 for how well one query word matches one stored word
+const wordScore = (query, word) => {
+  if (word === query) return 1;
+  if (word.startsWith(query)) return 0.9;
+  if (query.length >= 3 && word.includes(query)) return 0.7;
+
+  const max = allowedTypos(query.length);
+  if (!max) return 0;
+  const typos = Math.min(
+    editDistance(query, word, max),
+    editDistance(query, word.slice(0, query.length), max)
+  );
+  return typos <= max ? 0.6 - 0.1 * typos : 0;
+};
+
+// 0..1 for how well one query word matches one part of a number; digits
+// are compared without their leading zeros and never fuzzily
+const numberPartScore = (query, part) => {
+  if (part === query) return 1;
+  if (/^\d+$/.test(query) && /^\d+$/.test(part)) {
+    const [q, p] = [query.replace(/^0+/, ""), part.replace(/^0+/, "")];
+    if (q && p === q) return 1;
+    if (q && p.startsWith(q)) return 0.8;
+    return 0;
+  }
+  return part.startsWith(query) ? 0.9 : 0;
+};
+
+// { score, matched } for one entity, or null when it does not match. Every
+// query word has to match a text word or a part of a number; a match of the
+// whole query on a number is enough. `memo` keeps word scores for the
+// request, as the same stored words come up again and again.
+const scoreSearchHit = (entity, words, compactQuery, memo = new Map()) => {
+  const matched = new Set();
+
+  let numberScore = 0;
+  if (compactQuery.length >= 3) {
+    for (const field of SEARCH_NUMBER_FIELDS) {
+      const value = compactText(entity[field]);
+      if (!value) continue;
+      let score = 0;
+      if (value === compactQuery) score = 1;
+      else if (value.includes(compactQuery)) score = 0.8;
+      else if (compactQuery.length >= 6 && editDistance(compactQuery, value, 1) <= 1) score = 0.6;
+      if (score) {
+        matched.add(field);
+        numberScore = Math.max(numberScore, score);
+      }
+    }
+  }
+
+  const fieldWords = [
+    ...SEARCH_TEXT_FIELDS.map((field) => [field, searchWords(entity[field]), wordScore]),
+    ...SEARCH_NUMBER_FIELDS.map((field) => [field, searchWords(entity[field]), numberPartScore]),
+  ];
+  let textTotal = 0;
+  let allWords = words.length > 0;
+  for (const query of words) {
+    let best = 0;
+    let bestField = null;
+    for (const [field, stored, scoreWord] of fieldWords) {
+      for (const word of stored) {
+        const key = `${scoreWord === wordScore ? "t" : "n"}:${query}:${word}`;
+        let score = memo.get(key);
+        if (score === undefined) memo.set(key, (score = scoreWord(query, word)));
+        if (score > best) [best, bestField] = [score, field];
+      }
+    }
+    if (!best) {
+      allWords = false;
+      break;
+    }
+    textTotal += best;
+    matched.add(bestField);
+  }
+
+  const textScore = allWords ? textTotal / words.length : 0;
+  const score = Math.max(numberScore, textScore);
+  return score ? { score: Math.round(score * 100) / 100, matched: [...matched] } : null;
+};
+
+const searchHitSummary = (kind, entity, hit) => ({
+  kind,
+  id: entity.id,
+  type: (kind === "clearance" ? entity.type : kind === "document" ? entity.docType : "") || "",
+  ownerName: entity.ownerName || "",
+  establishmentName: entity.establishmentName || "",
+  businessAddress: entity.businessAddress || "",
+  fsicNo: entity.fsicNo || entity.FSIC_NUMBER || "",
+  fsicAppNo: entity.fsicAppNo || entity.FSIC_APP_NO || "",
+  orNumber: entity.orNumber || "",
+  plateNumber: entity.plateNumber || "",
+  archived: Boolean(entity.archived),
+  ...hit,
+});
+
+// ?q=, ?kind=record|clearance|document, ?includeArchived=1, ?page, ?pageSize
+app.get("/search", requireRole("encoder"), async (req, res) => {
+  try {
+    const q = normalize(req.query.q);
+    const words = searchWords(q);
+    const compactQuery = compactText(q);
+    if (compactQuery.length < 2) {
+      return res.status(400).json({
+        success: false,
+        message: "Search needs at least 2 letters or digits.",
+      });
+    }
+    if (words.length > SEARCH_MAX_WORDS) {
+      return res.status(400).json({
+        success: false,
+        message: `Search takes at most ${SEARCH_MAX_WORDS} words.`,
+      });
+    }
+
+    const kind = normalize(req.query.kind).toLowerCase();
+    if (kind && !ENTITY_COLLECTIONS[kind]) {
+      return res.status(400).json({
+        success: false,
+        message: "Kind must be record, clearance or document.",
+      });
+    }
+
+    const page = Math.max(1, Math.floor(Number(req.query.page)) || 1);
+    const pageSize = Math.min(
+      SEARCH_MAX_PAGE_SIZE,
+      Math.max(1, Math.floor(Number(req.query.pageSize)) || SEARCH_PAGE_SIZE)
+    );
+
+    const records = (
+      isTruthyFlag(req.query.includeArchived) ? await listRecordsWithArchive() : await store.list("records")
+    ).map(ensureEntityKey);
+    const recordKeys = new Map(records.map((r) => [String(r.id), r.entityKey]));
+
+    const sources = {
+      record: records,
+      clearance: !kind || kind === "clearance" ? await store.list("clearances") : [],
+      document: !kind || kind === "document" ? await store.list("documents") : [],
+    };
+
+    const groups = new Map();
+    const memo = new Map();
+    let scanned = 0;
+    let truncated = false;
+    for (const [source, items] of Object.entries(sources)) {
+      if (kind && kind !== source) continue;
+
+      for (const entity of items) {
+        if (scanned++ >= SEARCH_MAX_SCANNED) {
+          truncated = true;
+          break;
+        }
+        const hit = scoreSearchHit(entity, words, compactQuery, memo);
+        if (!hit) continue;
+
+        // clearances and documents without a key join their record's group
+        const entityKey =
+          normalize(entity.entityKey) ||
+          recordKeys.get(String(entity.recordId || "")) ||
+          `${source}:${entity.id}`;
+
+        const group = groups.get(entityKey) || {
+          entityKey,
+          name: "",
+          address: "",
+          score: 0,
+          records: [],
+          clearances: [],
+          documents: [],
+        };
+        group.name ||= normalize(entity.establishmentName) || normalize(entity.ownerName);
+        group.address ||= normalize(entity.businessAddress);
+        group.score = Math.max(group.score, hit.score);
+        group[ENTITY_COLLECTIONS[source]].push(searchHitSummary(source, entity, hit));
+        groups.set(entityKey, group);
+      }
+    }
+
+    const ranked = [...groups.values()].sort(
+      (a, b) => b.score - a.score || a.name.localeCompare(b.name)
+    );
+    for (const group of ranked) {
+      for (const list of [group.records, group.clearances, group.documents]) {
+        list.sort((a, b) => b.score - a.score);
+      }
+    }
+
+    res.json({
+      q,
+      page,
+      pageSize,
+      total: ranked.length,
+      totalPages: Math.ceil(ranked.length / pageSize),
+      truncated,
+      items: ranked.slice((page - 1) * pageSize, page * pageSize),
+    });
+  } catch (e) {
+    console.error("GET /search error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to search.",
+    });
+  }
+});
+
+// -----------------------------
+// CLEARANCES ROUTES
+// -----------------------------
+app.post("/clearances", requireRole("encoder"), async (req, res) => {
+  try {
+    let payload = pickAllowedClearanceFields(req.body);
+
+    if (!payload.type) {
+      return res.status(400).json({
+        success: false,
+        message: "Clearance type is required.",
+      });
+    }
+
+    if (payload.recordId && !payload.entityKey) {
+      const record = await findRecordById(payload.recordId);
+
+      if (record?.entityKey) {
+        payload.entityKey = record.entityKey;
+      }
+
+      if (!payload.FSIC_APP_NO && record?.FSIC_APP_NO) {
+        payload.FSIC_APP_NO = record.FSIC_APP_NO;
+      }
+
+      if (!payload.FSIC_NUMBER && record?.FSIC_NUMBER) {
+        payload.FSIC_NUMBER = record.FSIC_NUMBER;
+      }
+
+      if (!payload.ownerName && (record?.ownerName || record?.OWNERS_NAME)) {
+        payload.ownerName = record.ownerName || record.OWNERS_NAME || "";
+      }
+
+      if (
+        !payload.establishmentName &&
+        (record?.establishmentName || record?.ESTABLISHMENT_NAME)
+      ) {
+        payload.establishmentName =
+          record.establishmentName || record.ESTABLISHMENT_NAME || "";
+      }
+
+      if (
+        !payload.businessAddress &&
+        (record?.businessAddress || record?.BUSSINESS_ADDRESS || record?.ADDRESS)
+      ) {
+        payload.businessAddress =
+          record.businessAddress ||
+          record.BUSSINESS_ADDRESS ||
+          record.ADDRESS ||
+          "";
+      }
+
+      if (
+        !payload.contactNumber &&
+        (record?.contactNumber || record?.CONTACT_NUMBER)
+      ) {
+        payload.contactNumber = record.contactNumber || record.CONTACT_NUMBER || "";
+      }
+    }
+
+    fillClearanceValidity(payload);
+    fillClearanceSortFields(payload);
+
+    const conflict = await saveClaimed("clearance", payload, null, async () => {
+      const orConflict = await claimReceipt(req, "clearance", payload);
+      if (orConflict) return orConflict;
+
+      if (!normalize(payload.controlNumber)) {
+        setSeriesNumber(payload, "control", await allocateNumber("control", payload));
+      }
+
+      await store.set("clearances", payload.id, payload);
+    });
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        message: conflict,
+      });
+    }
+
+    await logHistory(req, "clearance", "create", null, payload);
+
+    res.json({ success: true, data: payload });
+  } catch (e) {
+    console.error("POST /clearances error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to save clearance.",
+    });
+  }
+});
+
+// Type and OR number go to the store as indexed equality filters; the date
+// range (on clearanceDate) and validity are checked here, reading in batches
+// until the page is full. The cursor is the sort value and id of the last
+// item returned, as stored, so pages stay stable while clearances are being
+// added. Filtered and sorted listings need the composite indexes in
+// firestore.indexes.json (`firebase deploy --only firestore:indexes`).
+//
+// Firestore leaves documents without the sort field out of a sorted query,
+// so every saved clearance carries all sort fields, blank when unknown;
+// POST /clearances/backfill fills them in on older ones.
+const CLEARANCE_SORTS = ["createdAt", "clearanceDate", "validUntil"];
+const CLEARANCE_VALIDITY_STATUSES = ["active", "expiring", "expired", "unknown"];
+const CLEARANCE_PAGE_SIZE = 50;
+const CLEARANCE_MAX_PAGE_SIZE = 200;
+
+const fillClearanceSortFields = (clearance) => {
+  for (const field of CLEARANCE_SORTS) clearance[field] ??= "";
+  return clearance;
+};
+
+const encodeListCursor = (sort, item) =>
+  base64url(JSON.stringify({ s: sort, v: item[sort] ?? "", id: String(item.id) }));
+
+// { value, id } for the store, or null when the cursor is not from this sort
+const decodeListCursor = (sort, cursor) => {
+  try {
+    const c = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+    if (c?.s !== sort || typeof c.id !== "string" || !c.id) return null;
+    return { value: c.v, id: c.id };
+  } catch {
+    return null;
+  }
+};
+
+// ?type, ?orNumber, ?from/?to (YYYY-MM-DD), ?validity, ?sort, ?order=asc|desc,
+// ?limit, ?cursor -> { items, nextCursor }; nextCursor is null on the last page.
+// Without ?limit or ?cursor the answer is the plain array of every match, as
+// before paging existed.
+app.get("/clearances", requireRole("encoder"), async (req, res) => {
+  try {
+    const sort = normalize(req.query.sort) || "createdAt";
+    if (!CLEARANCE_SORTS.includes(sort)) {
+      return res.status(400).json({
+        success: false,
+        message: `Sort must be one of: ${CLEARANCE_SORTS.join(", ")}.`,
+      });
+    }
+
+    const order = normalize(req.query.order).toLowerCase() || "desc";
+    if (!["asc", "desc"].includes(order)) {
+      return res.status(400).json({
+        success: false,
+        message: "Order must be asc or desc.",
+      });
+    }
+
+    const from = normalize(req.query.from);
+    const to = normalize(req.query.to);
+    if ((from && !isReportDate(from)) || (to && !isReportDate(to))) {
+      return res.status(400).json({
+        success: false,
+        message: "from and to must be YYYY-MM-DD.",
+      });
+    }
+
+    const validity = normalize(req.query.validity).toLowerCase();
+    if (validity && !CLEARANCE_VALIDITY_STATUSES.includes(validity)) {
+      return res.status(400).json({
+        success: false,
+        message: `Validity must be one of: ${CLEARANCE_VALIDITY_STATUSES.join(", ")}.`,
+      });
+    }
+
+    const limit = req.query.limit === undefined ? CLEARANCE_PAGE_SIZE : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > CLEARANCE_MAX_PAGE_SIZE) {
+      return res.status(400).json({
+        success: false,
+        message: `Limit must be a whole number between 1 and ${CLEARANCE_MAX_PAGE_SIZE}.`,
+      });
+    }
+
+    let after = null;
+    if (normalize(req.query.cursor)) {
+      after = decodeListCursor(sort, normalize(req.query.cursor));
+      if (!after) {
+        return res.status(400).json({
+          success: false,
+          message: "Invalid cursor. Start again without one.",
+        });
+      }
+    }
+
+    const where = pickFilters({
+      type: normalize(req.query.type).toLowerCase(),
+      orNumber: normalize(req.query.orNumber),
+    });
+
+    const matches = (c) => {
+      const date = toISODate(c.clearanceDate);
+      if (from && (!date || date < from)) return false;
+      if (to && (!date || date > to)) return false;
+      return !validity || c.validityStatus === validity;
+    };
+
+    if (req.query.limit === undefined && req.query.cursor === undefined) {
+      const all = await store.list("clearances", { where, orderBy: sort, direction: order });
+      return res.json(all.map((c) => withValidity("clearance", c)).filter(matches));
+    }
+
+    // unfiltered pages need one extra item to tell whether another page exists
+    const batchSize = from || to || validity ? Math.max(limit * 2, 100) : limit + 1;
+    const items = [];
+    let more = true;
+    while (more && items.length <= limit) {
+      const batch = await store.list("clearances", {
+        where,
+        orderBy: sort,
+        direction: order,
+        limit: batchSize,
+        after,
+      });
+      more = batch.length === batchSize;
+      if (batch.length) after = { value: batch.at(-1)[sort] ?? "", id: String(batch.at(-1).id) };
+
+      for (const c of batch) {
+        const item = withValidity("clearance", c);
+        if (matches(item)) items.push({ item, stored: c });
+        if (items.length > limit) break;
+      }
+    }
+
+    const page = items.slice(0, limit);
+    res.json({
+      items: page.map((x) => x.item),
+      nextCursor: items.length > limit ? encodeListCursor(sort, page.at(-1).stored) : null,
+    });
+  } catch (e) {
+    console.error("GET /clearances error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch clearances.",
+    });
+  }
+});
+
+// gives clearances saved before the sort fields were always written a blank
+// value for each, so sorted listings include them. ?dryRun=1 only counts.
+app.post("/clearances/backfill", requireRole("admin"), async (req, res) => {
+  try {
+    const dryRun = isTruthyFlag(req.query.dryRun);
+    const missing = (await store.list("clearances")).filter((c) =>
+      CLEARANCE_SORTS.some((field) => c[field] === undefined)
+    );
+
+    if (!dryRun) {
+      await store.commit(
+        missing.map((c) => ({ op: "set", col: "clearances", id: c.id, data: fillClearanceSortFields({ ...c }) }))
+      );
+    }
+
+    res.json({ success: true, dryRun, updated: missing.length });
+  } catch (e) {
+    console.error("POST /clearances/backfill error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to backfill clearances.",
+    });
+  }
+});
+
+app.get("/clearances/:id", requireRole("encoder"), async (req, res) => {
+  try {
+    const item = await findClearanceById(req.params.id);
+
+    if (!item) {
+      return res.status(404).json({
+        success: false,
+        message: "Clearance not found.",
+      });
+    }
+
+    res.json({
+      ...withValidity("clearance", item),
+      orMismatch: await hasOrMismatch("clearance", item),
+    });
+  } catch (e) {
+    console.error("GET /clearances/:id error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch clearance.",
+    });
+  }
+});
+
+app.get("/clearances/:id/history", requireRole("encoder"), sendHistory("clearance"));
+
+app.put("/clearances/:id", requireRole("encoder"), async (req, res) => {
+  try {
+    const existing = await findClearanceById(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: "Clearance not found.",
+      });
+    }
+
+    const merged = {
+      ...existing,
+      ...pickAllowedClearanceFields({
+        ...existing,
+        ...req.body,
+        id: existing.id,
+        createdAt: existing.createdAt,
+      }),
+    };
+
+    fillClearanceValidity(merged, existing);
+    fillClearanceSortFields(merged);
+
+    const conflict = await saveClaimed("clearance", merged, existing, async () => {
+      const orConflict = await claimReceipt(req, "clearance", merged, existing);
+      if (orConflict) return orConflict;
+
+      await store.set("clearances", existing.id, merged);
+    });
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        message: conflict,
+      });
+    }
+
+    await logHistory(req, "clearance", "update", existing, merged);
+
+    res.json({ success: true, data: merged });
+  } catch (e) {
+    console.error("PUT /clearances/:id error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to update clearance.",
+    });
+  }
+});
+
+app.delete("/clearances/:id", requireRole("chief"), async (req, res) => {
+  try {
+    const existing = await findClearanceById(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: "Clearance not found.",
+      });
+    }
+
+    await store.delete("clearances", existing.id);
+    await releaseNumberClaims("clearance", existing);
+    await logHistory(req, "clearance", "delete", existing, null);
+    await releaseReceiptClaim("clearance", existing);
+
+    res.json({ success: true });
+  } catch (e) {
+    console.error("DELETE /clearances/:id error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to delete clearance.",
+    });
+  }
+});
+
+app.get("/records/:id/clearances", requireRole("encoder"), async (req, res) => {
+  try {
+    const record = await findRecordById(req.params.id);
+    if (!record) {
+      return res.status(404).json({
+        success: false,
+        message: "Record not found",
+      });
+    }
+
+    const items = await getClearancesForRecord(record);
+
+    res.json(items.map((c) => withValidity("clearance", c)));
+  } catch (e) {
+    console.error("GET /records/:id/clearances error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch record clearances.",
+    });
+  }
+});
+
+app.get("/clearances/:id/certificate/:type/pdf", requireRole(printRole("marshal")), async (req, res) => {
+  try {
+    const output = readOutputOptions(req.query);
+    if (output.error) return res.status(400).send(output.error);
+
+    console.log("PDF REQUEST ID:", req.params.id);
+    console.log("PDF REQUEST TYPE:", req.params.type);
+
+    const clearance = await findClearanceById(req.params.id);
+    if (!clearance) {
+      console.log("Clearance not found in storage");
+      return res.status(404).send("Clearance not found");
+    }
+
+    const def = getCertificateType("clearance", req.params.type);
+    if (!def) return res.status(400).send("Invalid clearance certificate type");
+
+    const unverifiable = verificationBlockedReason("clearance", def, output.mode);
+    if (unverifiable) return res.status(503).send(unverifiable);
+
+    const tpl = await resolveTemplateForEntity("clearance", clearance, def, {
+      pin: output.mode !== "draft",
+    });
+    console.log("USING TEMPLATE:", def.template, "revision", tpl.revisionId);
+
+    generatePDF(
+      await withVerification(req, "clearance", clearance, def, output.mode),
+      tpl.templatePath,
+      `clearance-${def.type}-${clearance.id}`,
+      res,
+      { ...output, pin: tpl.pin, issuance: { req, kind: "clearance", def, revisionId: tpl.revisionId } }
+    );
+  } catch (e) {
+    console.error("GET /clearances/:id/certificate/:type/pdf error:", e);
+    res.status(500).send("Failed to generate clearance PDF.");
+  }
+});
+
+app.get("/clearances/:id/pdf", requireRole(printRole("marshal")), async (req, res) => {
+  try {
+    const output = readOutputOptions(req.query);
+    if (output.error) return res.status(400).send(output.error);
+
+    const clearance = await findClearanceById(req.params.id);
+    if (!clearance) return res.status(404).send("Clearance not found");
+
+    const def = getCertificateType("clearance", clearance.type);
+    if (!def) return res.status(400).send("Invalid clearance type");
+
+    const unverifiable = verificationBlockedReason("clearance", def, output.mode);
+    if (unverifiable) return res.status(503).send(unverifiable);
+
+    const tpl = await resolveTemplateForEntity("clearance", clearance, def, {
+      pin: output.mode !== "draft",
     });
+
+    generatePDF(
+      await withVerification(req, "clearance", clearance, def, output.mode),
+      tpl.templatePath,
+      `clearance-${def.type}-${clearance.id}`,
+      res,
+      { ...output, pin: tpl.pin, issuance: { req, kind: "clearance", def, revisionId: tpl.revisionId } }
+    );
   } catch (e) {
-    console.error("POST /import/records error:", e);
-    res
-      .status(500)
-      .json({ success: false, message: "Failed to import records Excel." });
+    console.error("GET /clearances/:id/pdf error:", e);
+    res.status(500).send("Failed to generate clearance PDF.");
   }
 });
 
 // -----------------------------
-// PIN AUTH
+// DOCUMENTS ROUTES
 // -----------------------------
-const CORRECT_PIN = String(process.env.PIN || "1234").trim();
+const DOCUMENT_TYPES = Object.keys(CERTIFICATE_TYPES).filter(
+  (type) => CERTIFICATE_TYPES[type].entity === "document"
+);
 
-app.post("/auth/pin", (req, res) => {
-  const pin = String(req.body?.pin || "").trim();
+const buildDocumentPayload = (body = {}, existing = null) => ({
+  ...(existing || {}),
+  ...pickAllowedDocumentFields({ ...(existing || {}), ...body }),
+  id: String(existing?.id || body.id || makeId()),
+  docType: String(body.docType ?? existing?.docType ?? "").toLowerCase().trim(),
+  recordId: String(existing?.recordId || body.recordId || ""),
+  entityKey: normalizeEntityKey(existing?.entityKey || body.entityKey || ""),
+  createdAt: existing?.createdAt || body.createdAt || new Date().toISOString(),
+  updatedAt: new Date().toISOString(),
+});
 
-  if (!pin) return res.status(400).json({ ok: false, message: "Missing PIN" });
-  if (pin === CORRECT_PIN) return res.json({ ok: true });
+const getDocumentsForRecord = async (record) => {
+  const entityKey = normalize(record.entityKey);
+  const queries = [
+    store.list("documents", { where: { recordId: String(record.id) } }),
+  ];
+  if (entityKey) {
+    queries.push(store.list("documents", { where: { entityKey } }));
+  }
 
-  return res.status(401).json({ ok: false, message: "Incorrect PIN" });
-});
+  const byId = new Map();
+  for (const items of await Promise.all(queries)) {
+    for (const d of items) byId.set(d.id, d);
+  }
 
-// -----------------------------
-// CLEARANCES ROUTES
-// -----------------------------
-app.post("/clearances", async (req, res) => {
-  try {
-    if (!fdb) {
-      return res.status(500).json({
-        success: false,
-        message: "Firestore is not initialized.",
-      });
-    }
+  return [...byId.values()].sort((a, b) =>
+    String(b.createdAt || "").localeCompare(String(a.createdAt || ""))
+  );
+};
 
-    let payload = pickAllowedClearanceFields(req.body);
+app.post("/documents", requireRole("encoder"), async (req, res) => {
+  try {
+    const payload = buildDocumentPayload(req.body);
 
-    if (!payload.type) {
+    if (!DOCUMENT_TYPES.includes(payload.docType)) {
       return res.status(400).json({
         success: false,
-        message: "Clearance type is required.",
+        message: `Document type must be one of: ${DOCUMENT_TYPES.join(", ")}.`,
       });
     }
 
-    if (payload.recordId && !payload.entityKey) {
+    if (payload.recordId) {
       const record = await findRecordById(payload.recordId);
-
-      if (record?.entityKey) {
-        payload.entityKey = record.entityKey;
-      }
-
-      if (!payload.FSIC_APP_NO && record?.FSIC_APP_NO) {
-        payload.FSIC_APP_NO = record.FSIC_APP_NO;
-      }
-
-      if (!payload.FSIC_NUMBER && record?.FSIC_NUMBER) {
-        payload.FSIC_NUMBER = record.FSIC_NUMBER;
-      }
-
-      if (!payload.ownerName && (record?.ownerName || record?.OWNERS_NAME)) {
-        payload.ownerName = record.ownerName || record.OWNERS_NAME || "";
+      if (!record) {
+        return res.status(404).json({
+          success: false,
+          message: "Record not found.",
+        });
       }
 
-      if (
-        !payload.establishmentName &&
-        (record?.establishmentName || record?.ESTABLISHMENT_NAME)
-      ) {
-        payload.establishmentName =
-          record.establishmentName || record.ESTABLISHMENT_NAME || "";
-      }
+      payload.entityKey = normalizeEntityKey(record.entityKey);
 
-      if (
-        !payload.businessAddress &&
-        (record?.businessAddress || record?.BUSSINESS_ADDRESS || record?.ADDRESS)
-      ) {
-        payload.businessAddress =
-          record.businessAddress ||
-          record.BUSSINESS_ADDRESS ||
-          record.ADDRESS ||
-          "";
+      // fill anything the encoder left blank from the establishment's record
+      const fromRecord = pickAllowedDocumentFields(record);
+      for (const [field, value] of Object.entries(fromRecord)) {
+        if (!normalize(payload[field]) && normalize(value)) payload[field] = value;
       }
+    }
 
-      if (
-        !payload.contactNumber &&
-        (record?.contactNumber || record?.CONTACT_NUMBER)
-      ) {
-        payload.contactNumber = record.contactNumber || record.CONTACT_NUMBER || "";
-      }
+    if (!payload.entityKey) {
+      return res.status(400).json({
+        success: false,
+        message: "recordId or entityKey is required.",
+      });
     }
 
-    await fdb.collection("clearances").doc(String(payload.id)).set(payload);
+    await store.set("documents", payload.id, payload);
+    await logHistory(req, "document", "create", null, payload);
 
     res.json({ success: true, data: payload });
   } catch (e) {
-    console.error("POST /clearances error:", e);
+    console.error("POST /documents error:", e);
     res.status(500).json({
       success: false,
-      message: "Failed to save clearance.",
+      message: "Failed to save document.",
     });
   }
 });
 
-app.get("/clearances", async (req, res) => {
+app.get("/documents", requireRole("encoder"), async (req, res) => {
   try {
-    if (!fdb) {
-      return res.status(500).json({
-        success: false,
-        message: "Firestore is not initialized.",
-      });
-    }
+    const where = pickFilters({
+      docType: normalize(req.query.docType).toLowerCase(),
+      entityKey: normalizeEntityKey(req.query.entityKey),
+      recordId: normalize(req.query.recordId),
+    });
 
-    const snap = await fdb.collection("clearances").orderBy("createdAt", "desc").get();
-    const items = snap.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+    const items = (await store.list("documents", { where })).sort((a, b) => String(b.createdAt || "").localeCompare(String(a.createdAt || "")));
 
     res.json(items);
   } catch (e) {
-    console.error("GET /clearances error:", e);
+    console.error("GET /documents error:", e);
     res.status(500).json({
       success: false,
-      message: "Failed to fetch clearances.",
+      message: "Failed to fetch documents.",
     });
   }
 });
 
-app.get("/clearances/:id", async (req, res) => {
+app.get("/documents/:id", requireRole("encoder"), async (req, res) => {
   try {
-    const item = await findClearanceById(req.params.id);
+    const item = await findDocumentById(req.params.id);
 
     if (!item) {
       return res.status(404).json({
         success: false,
-        message: "Clearance not found.",
+        message: "Document not found.",
       });
     }
 
     res.json(item);
   } catch (e) {
-    console.error("GET /clearances/:id error:", e);
+    console.error("GET /documents/:id error:", e);
     res.status(500).json({
       success: false,
-      message: "Failed to fetch clearance.",
+      message: "Failed to fetch document.",
     });
   }
 });
 
-app.put("/clearances/:id", async (req, res) => {
+app.get("/documents/:id/history", requireRole("encoder"), sendHistory("document"));
+
+app.put("/documents/:id", requireRole("encoder"), async (req, res) => {
   try {
-    if (!fdb) {
-      return res.status(500).json({
+    const existing = await findDocumentById(req.params.id);
+
+    if (!existing) {
+      return res.status(404).json({
         success: false,
-        message: "Firestore is not initialized.",
+        message: "Document not found.",
       });
     }
 
-    const existing = await findClearanceById(req.params.id);
+    const merged = buildDocumentPayload(req.body, existing);
 
-    if (!existing) {
-      return res.status(404).json({
+    if (!DOCUMENT_TYPES.includes(merged.docType)) {
+      return res.status(400).json({
         success: false,
-        message: "Clearance not found.",
+        message: `Document type must be one of: ${DOCUMENT_TYPES.join(", ")}.`,
       });
     }
 
-    const merged = {
-      ...existing,
-      ...pickAllowedClearanceFields({
-        ...existing,
-        ...req.body,
-        id: existing.id,
-        createdAt: existing.createdAt,
-      }),
-    };
-
-    await fdb.collection("clearances").doc(String(existing.id)).set(merged);
+    await store.set("documents", existing.id, merged);
+    await logHistory(req, "document", "update", existing, merged);
 
     res.json({ success: true, data: merged });
   } catch (e) {
-    console.error("PUT /clearances/:id error:", e);
+    console.error("PUT /documents/:id error:", e);
     res.status(500).json({
       success: false,
-      message: "Failed to update clearance.",
+      message: "Failed to update document.",
     });
   }
 });
 
-app.delete("/clearances/:id", async (req, res) => {
+app.delete("/documents/:id", requireRole("chief"), async (req, res) => {
   try {
-    if (!fdb) {
-      return res.status(500).json({
-        success: false,
-        message: "Firestore is not initialized.",
-      });
-    }
-
-    const existing = await findClearanceById(req.params.id);
+    const existing = await findDocumentById(req.params.id);
 
     if (!existing) {
       return res.status(404).json({
         success: false,
-        message: "Clearance not found.",
+        message: "Document not found.",
       });
     }
 
-    await fdb.collection("clearances").doc(String(req.params.id)).delete();
+    await store.delete("documents", existing.id);
+    await logHistory(req, "document", "delete", existing, null);
 
     res.json({ success: true });
   } catch (e) {
-    console.error("DELETE /clearances/:id error:", e);
+    console.error("DELETE /documents/:id error:", e);
     res.status(500).json({
       success: false,
-      message: "Failed to delete clearance.",
+      message: "Failed to delete document.",
     });
   }
 });
 
-app.get("/records/:id/clearances", async (req, res) => {
+app.get("/records/:id/documents", requireRole("encoder"), async (req, res) => {
   try {
-    if (!fdb) {
-      return res.status(500).json({
-        success: false,
-        message: "Firestore is not initialized.",
-      });
-    }
-
     const record = await findRecordById(req.params.id);
     if (!record) {
       return res.status(404).json({
@@ -1162,186 +7043,372 @@ app.get("/records/:id/clearances", async (req, res) => {
       });
     }
 
-    const entityKey = normalize(record.entityKey);
-
-    const snap = await fdb.collection("clearances").get();
-    const items = snap.docs
-      .map((doc) => ({ id: doc.id, ...doc.data() }))
-      .filter(
-        (c) =>
-          normalize(c.entityKey) === entityKey ||
-          String(c.recordId) === String(record.id)
-      );
-
-    res.json(items);
+    res.json(await getDocumentsForRecord(record));
   } catch (e) {
-    console.error("GET /records/:id/clearances error:", e);
+    console.error("GET /records/:id/documents error:", e);
     res.status(500).json({
       success: false,
-      message: "Failed to fetch record clearances.",
+      message: "Failed to fetch record documents.",
     });
   }
 });
 
-app.get("/clearances/:id/certificate/:type/pdf", async (req, res) => {
-  try {
-    console.log("PDF REQUEST ID:", req.params.id);
-    console.log("PDF REQUEST TYPE:", req.params.type);
-
-    const clearance = await findClearanceById(req.params.id);
-    if (!clearance) {
-      console.log("Clearance not found in Firestore");
-      return res.status(404).send("Clearance not found");
-    }
-
-    const type = String(req.params.type || "").toLowerCase().trim();
-
-    let templateFile = "";
-    if (type === "conveyance") templateFile = "FSED-38F-Conveyance.docx";
-    else if (type === "storage") templateFile = "FSED-37F-Storage.docx";
-    else if (type === "hotworks") templateFile = "FSED-34F-Hot-Works.docx";
-    else if (type === "firedrill") templateFile = "FSED-44F-Fire-Drill-Rev02.docx";
-    else if (type === "fumigation") templateFile = "FSED-41F-Fumigation.docx";
-    else if (type === "seminar") templateFile = "FSED-Seminar.docx";
-    else if (type === "firesafety") templateFile = "FSED-Fire-Safety.docx";
-    else if (type === "fireworks") templateFile = "FSED-Fireworks-Exhibition.docx";
-
-    else return res.status(400).send("Invalid clearance certificate type");
-
-    console.log("USING TEMPLATE:", templateFile);
-
-    generatePDF(
-      clearance,
-      templateFile,
-      `clearance-${type}-${clearance.id}`,
-      res
-    );
-  } catch (e) {
-    console.error("GET /clearances/:id/certificate/:type/pdf error:", e);
-    res.status(500).send("Failed to generate clearance PDF.");
-  }
-});
-
-app.get("/clearances/:id/pdf", async (req, res) => {
-  try {
-    const clearance = await findClearanceById(req.params.id);
-    if (!clearance) return res.status(404).send("Clearance not found");
-
-    const type = String(clearance.type || "").toLowerCase().trim();
-
-    let templateFile = "";
-    if (type === "conveyance") {
-      templateFile = "FSED-38F-Conveyance.docx";
-    } else if (type === "storage") {
-      templateFile = "FSED-37F-Storage.docx";
-    } else if (type === "hotworks") {
-      templateFile = "FSED-34F-Hot-Works.docx";
-    } else if (type === "firedrill") {
-      templateFile = "FSED-44F-Fire-Drill-Rev02.docx";
-    } else if (type === "fumigation") {
-      templateFile = "FSED-41F-Fumigation.docx";
-    } else if (type === "seminar") {
-      templateFile = "FSED-Seminar.docx";
-    } else if (type === "firesafety") {
-      templateFile = "Fire-Safety.docx";
-    } else if (type === "fireworks") {
-      templateFile = "FSED-Fireworks-Exhibition.docx";
-    } else {
-      return res.status(400).send("Invalid clearance type");
-    }
-
-    generatePDF(
-      clearance,
-      templateFile,
-      `clearance-${type}-${clearance.id}`,
-      res
-    );
-  } catch (e) {
-    console.error("GET /clearances/:id/pdf error:", e);
-    res.status(500).send("Failed to generate clearance PDF.");
-  }
-});
-
 // -----------------------------
 // PDF ROUTES
 // -----------------------------
-app.get("/records/:id/certificate/:type/pdf", async (req, res) => {
+app.get("/records/:id/certificate/:type/pdf", requireRole(printRole("marshal")), async (req, res) => {
   try {
+    const output = readOutputOptions(req.query);
+    if (output.error) return res.status(400).send(output.error);
+
     const record = await findRecordById(req.params.id);
     if (!record) return res.status(404).send("Record not found");
 
-    const type = String(req.params.type || "").toLowerCase();
+    const def = getCertificateType("record", req.params.type);
+    if (!def) return res.status(400).send("Invalid certificate type");
 
-    let templateFile = "";
-    if (type === "owner") {
-      templateFile = "fsic-owner.docx";
-    } else if (type === "bfp") {
-      templateFile = "fsic-bfp.docx";
-    } else if (type === "owner-new") {
-      templateFile = "fsic-owner-new.docx";
-    } else if (type === "bfp-new") {
-      templateFile = "fsic-bfp-new.docx";
-    } else {
-      return res.status(400).send("Invalid certificate type");
-    }
+    const blocked = printBlockedReason(record, def.type, output.mode, output.format);
+    if (blocked) return res.status(409).send(blocked);
+
+    const unverifiable = verificationBlockedReason("record", def, output.mode);
+    if (unverifiable) return res.status(503).send(unverifiable);
 
-    generatePDF(record, templateFile, `fsic-${type}-${record.id}`, res);
+    const tpl = await resolveTemplateForEntity("record", record, def, { pin: output.mode !== "draft" });
+    const printed = await withVerification(req, "record", record, def, output.mode);
+    generatePDF(printed, tpl.templatePath, `fsic-${def.type}-${record.id}`, res, {
+      ...output,
+      pin: tpl.pin,
+      issuance: { req, kind: "record", def, revisionId: tpl.revisionId },
+    });
   } catch (e) {
     console.error("GET /records/:id/certificate/:type/pdf error:", e);
     res.status(500).send("Failed to generate certificate PDF.");
   }
 });
 
-app.get("/records/:id/:docType/pdf", async (req, res) => {
+app.get("/records/:id/:docType/pdf", requireRole("inspector"), async (req, res) => {
   try {
+    const output = readOutputOptions(req.query);
+    if (output.error) return res.status(400).send(output.error);
+
     const record = await findRecordById(req.params.id);
     if (!record) return res.status(404).send("Record not found");
 
-    const dt = String(req.params.docType || "").toLowerCase();
+    const def = getCertificateType("document", req.params.docType);
+    if (!def) return res.status(400).send("Invalid type");
 
-    let templateFile = "";
-    if (dt === "io") templateFile = "officers.docx";
-    else if (dt === "reinspection") templateFile = "reinspection.docx";
-    else if (dt === "nfsi") templateFile = "nfsi-form.docx";
-    else return res.status(400).send("Invalid type");
+    const blocked = printBlockedReason(record, def.type, output.mode, output.format);
+    if (blocked) return res.status(409).send(blocked);
 
-    generatePDF(record, templateFile, `${dt}-${record.id}`, res);
+    const tpl = await resolveTemplateForEntity("record", record, def, { pin: output.mode !== "draft" });
+    generatePDF(record, tpl.templatePath, `${def.type}-${record.id}`, res, {
+      ...output,
+      pin: tpl.pin,
+      issuance: { req, kind: "record", def, revisionId: tpl.revisionId },
+    });
   } catch (e) {
     console.error("GET /records/:id/:docType/pdf error:", e);
     res.status(500).send("Failed to generate document PDF.");
   }
 });
 
-app.get("/documents/:id/:docType/pdf", async (req, res) => {
+app.get("/documents/:id/:docType/pdf", requireRole("inspector"), async (req, res) => {
   try {
+    const output = readOutputOptions(req.query);
+    if (output.error) return res.status(400).send(output.error);
+
     const docu = await findDocumentById(req.params.id);
     if (!docu) return res.status(404).send("Document not found");
 
-    const dt = String(req.params.docType || "").toLowerCase();
+    const def = getCertificateType("document", req.params.docType);
+    if (!def) return res.status(400).send("Invalid type");
 
-    let templateFile = "";
-    if (dt === "io") templateFile = "officers.docx";
-    else if (dt === "reinspection") templateFile = "reinspection.docx";
-    else if (dt === "nfsi") templateFile = "nfsi-form.docx";
-    else return res.status(400).send("Invalid type");
-
-    generatePDF(docu, templateFile, `doc-${dt}-${docu.id}`, res);
+    const tpl = await resolveTemplateForEntity("document", docu, def, { pin: output.mode !== "draft" });
+    generatePDF(await withRecordDefects(docu), tpl.templatePath, `doc-${def.type}-${docu.id}`, res, {
+      ...output,
+      pin: tpl.pin,
+      issuance: { req, kind: "document", def, revisionId: tpl.revisionId },
+    });
   } catch (e) {
     console.error("GET /documents/:id/:docType/pdf error:", e);
     res.status(500).send("Failed to generate document PDF.");
   }
 });
 
+// -----------------------------
+// BATCH PDF
+// -----------------------------
+const PDF_BATCH_MAX_ITEMS = 100;
+
+// FSICs and clearances are signed by the marshal; IO / NFSI / reinspection
+// and drafts follow the single-document routes
+// batches are always PDF, so the draft downgrade of printRole applies
+const certificateRole = (def, mode) =>
+  def.entity === "document" || mode === "draft" ? "inspector" : "marshal";
+
+const loadBatchItem = async (item = {}, mode = "final") => {
+  const kind = String(item.kind || "").toLowerCase().trim();
+  const id = normalize(item.id);
+  if (!id) return { error: "Missing id." };
+
+  if (kind === "record") {
+    const record = await findRecordById(id);
+    if (!record) return { error: "Record not found." };
+
+    const def =
+      getCertificateType("record", item.type) || getCertificateType("document", item.type);
+    if (!def) return { error: "Invalid certificate type." };
+
+    const blocked = printBlockedReason(record, def.type, mode);
+    if (blocked) return { error: blocked };
+
+    const filenameBase =
+      def.entity === "record" ? `fsic-${def.type}-${record.id}` : `${def.type}-${record.id}`;
+    return { kind, entity: record, def, filenameBase };
+  }
+
+  if (kind === "clearance") {
+    const clearance = await findClearanceById(id);
+    if (!clearance) return { error: "Clearance not found." };
+
+    const def = getCertificateType("clearance", item.type || clearance.type);
+    if (!def) return { error: "Invalid clearance type." };
+
+    return { kind, entity: clearance, def, filenameBase: `clearance-${def.type}-${clearance.id}` };
+  }
+
+  if (kind === "document") {
+    const docu = await findDocumentById(id);
+    if (!docu) return { error: "Document not found." };
+
+    const def = getCertificateType("document", item.type || docu.docType);
+    if (!def) return { error: "Invalid type." };
+
+    return {
+      kind,
+      entity: await withRecordDefects(docu),
+      def,
+      filenameBase: `doc-${def.type}-${docu.id}`,
+    };
+  }
+
+  return { error: "Kind must be record, clearance or document." };
+};
+
+const mergePdfBuffers = async (buffers) => {
+  const merged = await PDFDocument.create();
+  for (const buf of buffers) {
+    const src = await PDFDocument.load(buf);
+    const pages = await merged.copyPages(src, src.getPageIndices());
+    pages.forEach((page) => merged.addPage(page));
+  }
+  return Buffer.from(await merged.save());
+};
+
+app.post("/pdf/batch", requireRole("inspector"), async (req, res) => {
+  const items = Array.isArray(req.body?.items) ? req.body.items : [];
+  const output = String(req.body?.output || req.query.output || "zip").toLowerCase();
+  const mode = String(req.body?.mode || req.query.mode || "final").toLowerCase();
+
+  if (!items.length || items.length > PDF_BATCH_MAX_ITEMS) {
+    return res.status(400).json({
+      success: false,
+      message: `Send between 1 and ${PDF_BATCH_MAX_ITEMS} items.`,
+    });
+  }
+
+  if (!["zip", "pdf"].includes(output)) {
+    return res.status(400).json({
+      success: false,
+      message: "Output must be zip or pdf.",
+    });
+  }
+
+  if (!(mode in OUTPUT_WATERMARKS)) {
+    return res.status(400).json({
+      success: false,
+      message: "Mode must be final, draft or copy.",
+    });
+  }
+
+  const soffice = findSoffice();
+  if (!soffice) {
+    return res.status(500).json({
+      success: false,
+      message: "LibreOffice not found (soffice). Use Docker install libreoffice.",
+    });
+  }
+
+  const stamp = `${Date.now()}-${Math.floor(Math.random() * 1e9)}`;
+
+  try {
+    // collect every job first so cache misses share one queued conversion
+    const report = [];
+    const pending = [];
+
+    for (const [index, item] of items.entries()) {
+      const entry = { index, kind: item?.kind, id: item?.id, type: item?.type };
+      const loaded = await loadBatchItem(item, mode);
+
+      if (loaded.error) {
+        report.push({ ...entry, ok: false, error: loaded.error });
+        continue;
+      }
+
+      const role = certificateRole(loaded.def, mode);
+      if (!hasRole(req.user, role)) {
+        report.push({ ...entry, ok: false, error: `Requires ${role} access.` });
+        continue;
+      }
+
+      const unverifiable = verificationBlockedReason(loaded.kind, loaded.def, mode);
+      if (unverifiable) {
+        report.push({ ...entry, ok: false, error: unverifiable });
+        continue;
+      }
+
+      try {
+        const tpl = await resolveTemplateForEntity(loaded.kind, loaded.entity, loaded.def, {
+          pin: mode !== "draft",
+        });
+        const name = `${String(index + 1).padStart(3, "0")}-${loaded.filenameBase}`;
+
+        const done = { ...entry, type: loaded.def.type, ok: true, file: `${name}.pdf` };
+        report.push(done);
+        const record = await withVerification(req, loaded.kind, loaded.entity, loaded.def, mode);
+        pending.push({
+          done,
+          record,
+          kind: loaded.kind,
+          def: loaded.def,
+          revisionId: tpl.revisionId,
+          templatePath: tpl.templatePath,
+          pin: tpl.pin,
+        });
+      } catch (e) {
+        report.push({ ...entry, ok: false, error: `Template render failed. ${e.message}` });
+      }
+    }
+
+    const results = pending.length ? await renderPdfs(soffice, pending) : [];
+
+    const errorPrefix = {
+      templater: "Template render failed. ",
+      conversion: "PDF conversion failed. ",
+      missing: "",
+    };
+
+    pending.forEach((p, i) => {
+      const result = results[i];
+      if (result.error) {
+        Object.assign(p.done, { ok: false, error: `${errorPrefix[result.stage] || ""}${result.error}` });
+      } else {
+        p.pdf = result.pdf;
+      }
+    });
+
+    report.sort((a, b) => a.index - b.index);
+    const produced = pending.filter((p) => p.pdf);
+    const failed = report.filter((r) => !r.ok);
+
+    const watermark = OUTPUT_WATERMARKS[mode];
+    for (const p of produced) {
+      if (watermark) p.pdf = await stampPdfWatermark(p.pdf, watermark);
+      await p.pin?.();
+      if (mode !== "draft") {
+        const entry = await registerIssuance(p.pdf, {
+          req,
+          kind: p.kind,
+          entity: p.record,
+          def: p.def,
+          revisionId: p.revisionId,
+          mode,
+          filename: p.done.file,
+        });
+        p.issuance = entry;
+        p.done.issuanceId = entry.id;
+      }
+    }
+
+    if (!produced.length) {
+      return res.status(422).json({
+        success: false,
+        message: "No PDFs could be generated.",
+        report,
+      });
+    }
+
+    if (output === "pdf") {
+      const merged = await mergePdfBuffers(produced.map((p) => p.pdf));
+      if (mode !== "draft") {
+        const entry = await registerBatchIssuance(merged, {
+          req,
+          mode,
+          filename: `batch-${stamp}.pdf`,
+          parts: produced.map((p) => p.issuance),
+        });
+        res.setHeader("X-Batch-Issuance-Id", entry.id);
+      }
+      res.setHeader("Content-Type", "application/pdf");
+      res.setHeader("Content-Disposition", `attachment; filename="batch-${stamp}.pdf"`);
+      res.setHeader("X-Batch-Failed", String(failed.length));
+      if (failed.length) {
+        res.setHeader(
+          "X-Batch-Report",
+          encodeURIComponent(JSON.stringify(failed.map(({ index, id, error }) => ({ index, id, error }))))
+        );
+      }
+      return res.send(merged);
+    }
+
+    const zip = new PizZip();
+    for (const p of produced) zip.file(p.done.file, p.pdf);
+    zip.file("report.json", JSON.stringify(report, null, 2));
+
+    res.setHeader("Content-Type", "application/zip");
+    res.setHeader("Content-Disposition", `attachment; filename="batch-${stamp}.zip"`);
+    res.setHeader("X-Batch-Failed", String(failed.length));
+    res.send(zip.generate({ type: "nodebuffer", compression: "DEFLATE" }));
+  } catch (e) {
+    console.error("POST /pdf/batch error:", e);
+    res.status(500).json({
+      success: false,
+      message: "Failed to generate batch PDF.",
+    });
+  }
+});
+
 // -----------------------------
 // ROOT
 // -----------------------------
 app.get("/", (req, res) => {
-  res.send("✅ BFP Backend Running (Firestore Option B)");
+  res.send(`✅ BFP Backend Running (${store.name} storage)`);
 });
 
-app.listen(PORT, "0.0.0.0", () => {
-  console.log(`✅ Backend running on port ${PORT}`);
-  console.log("PIN:", process.env.PIN ? "(set)" : "(default 1234)");
-  console.log("SOFFICE_PATH:", process.env.SOFFICE_PATH || "(not set)");
-  console.log("FIREBASE:", fdb ? "connected (check /health)" : "NOT initialized");
-});
\ No newline at end of file
+seedAdminUser().catch((e) => console.error("Admin seed failed:", e));
+
+// the tests under test/ import the app without starting it
+if (process.argv[1] && fs.realpathSync(process.argv[1]) === __filename) {
+  app.listen(PORT, "0.0.0.0", () => {
+    console.log(`✅ Backend running on port ${PORT}`);
+    console.log("AUTH_SECRET:", process.env.AUTH_SECRET ? "(set)" : "(random per boot)");
+    console.log("VERIFY_SECRET:", VERIFY_SECRET ? "(set)" : "(not set, QR prints disabled)");
+    console.log("SOFFICE_PATH:", process.env.SOFFICE_PATH || "(not set)");
+    console.log("FIREBASE:", fdb ? "connected (check /health)" : "NOT initialized");
+    console.log("STORAGE:", store.name);
+  });
+}
+
+export {
+  app,
+  store,
+  signToken,
+  tryClaimNumber,
+  allocateNumber,
+  numberClaimKey,
+  claimReceipt,
+  receiptKey,
+  scoreSearchHit,
+  searchWords,
+  compactText,
+};
\ No newline at end of file
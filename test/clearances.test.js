@@ -0,0 +1,75 @@
+import { server, startApp } from "./setup.js";
+import { test, before, after } from "node:test";
+import assert from "node:assert/strict";
+
+const { store } = server;
+
+let app;
+before(async () => {
+  app = await startApp();
+
+  // ids out of order, repeated sort values, blank and missing dates
+  const dates = ["2026-03-01", "2026-01-15", "", "2026-01-15", undefined, "2026-02-10", "2026-01-15"];
+  for (const [i, clearanceDate] of dates.entries()) {
+    const id = `c${(i * 5) % 7}`;
+    await store.set("clearances", id, {
+      id,
+      type: i % 2 ? "conveyance" : "hotworks",
+      ownerName: `Owner ${i}`,
+      createdAt: `2026-04-0${i + 1}T00:00:00.000Z`,
+      // validity only in the older field: listings show it as validUntil
+      ...(clearanceDate === undefined
+        ? { clearanceValidity: "2026-12-31" }
+        : { clearanceDate, validUntil: clearanceDate }),
+    });
+  }
+});
+after(() => app.close());
+
+const readAll = async (query) => {
+  const ids = [];
+  let cursor = null;
+  for (let pages = 0; pages < 20; pages++) {
+    const url = `/clearances?${query}&limit=2${cursor ? `&cursor=${cursor}` : ""}`;
+    const { status, body } = await app.request("GET", url);
+    assert.equal(status, 200);
+    assert.ok(body.items.length <= 2);
+    ids.push(...body.items.map((c) => c.id));
+    cursor = body.nextCursor;
+    if (!cursor) return ids;
+  }
+  assert.fail("paging did not end");
+};
+
+for (const sort of ["createdAt", "clearanceDate", "validUntil"]) {
+  for (const order of ["asc", "desc"]) {
+    test(`pages by ${sort} ${order} return every clearance once, in order`, async () => {
+      const { body: all } = await app.request("GET", `/clearances?sort=${sort}&order=${order}`);
+      assert.equal(all.length, 7);
+
+      const paged = await readAll(`sort=${sort}&order=${order}`);
+      assert.deepEqual(paged, all.map((c) => c.id));
+    });
+  }
+}
+
+test("filters apply to every page", async () => {
+  const paged = await readAll("type=conveyance&sort=clearanceDate");
+  assert.equal(paged.length, 3);
+  for (const id of paged) assert.equal((await store.get("clearances", id)).type, "conveyance");
+});
+
+test("without limit or cursor the answer is the plain array", async () => {
+  const { body } = await app.request("GET", "/clearances");
+  assert.ok(Array.isArray(body));
+
+  const { body: page } = await app.request("GET", "/clearances?limit=3");
+  assert.equal(page.items.length, 3);
+  assert.ok(page.nextCursor);
+});
+
+test("a cursor from another sort is refused", async () => {
+  const { body } = await app.request("GET", "/clearances?sort=createdAt&limit=1");
+  const { status } = await app.request("GET", `/clearances?sort=validUntil&limit=1&cursor=${body.nextCursor}`);
+  assert.equal(status, 400);
+});
@@ -0,0 +1,62 @@
+import { server } from "./setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+const { store, tryClaimNumber, allocateNumber, numberClaimKey } = server;
+
+const record = (id, fields = {}) => ({ id, ...fields });
+
+test("a number claimed for one record is refused to another", async () => {
+  assert.equal(await tryClaimNumber("io", "IO-1", record("a")), true);
+  assert.equal(await tryClaimNumber("io", "IO-1", record("a")), true);
+  assert.equal(await tryClaimNumber("io", "IO-1", record("b")), false);
+
+  const claim = await store.get("numberClaims", numberClaimKey("io", "IO-1"));
+  assert.equal(claim.entityId, "a");
+});
+
+test("a stale claim of a record that was never saved is taken over", async () => {
+  await store.set("numberClaims", numberClaimKey("io", "IO-2"), {
+    series: "io",
+    number: "IO-2",
+    entityType: "record",
+    entityId: "ghost",
+    claimedAt: "2020-01-01T00:00:00.000Z",
+  });
+
+  assert.equal(await tryClaimNumber("io", "IO-2", record("c")), true);
+  assert.equal((await store.get("numberClaims", numberClaimKey("io", "IO-2"))).entityId, "c");
+});
+
+test("an old claim of an archived record stays with it", async () => {
+  await store.set("archive/2026-01/records", "archived", record("archived", { ioNumber: "IO-3" }));
+  await store.set("numberClaims", numberClaimKey("io", "IO-3"), {
+    series: "io",
+    number: "IO-3",
+    entityType: "record",
+    entityId: "archived",
+    claimedAt: "2020-01-01T00:00:00.000Z",
+  });
+
+  assert.equal(await tryClaimNumber("io", "IO-3", record("d")), false);
+});
+
+test("allocated numbers follow the counter and claim what they draw", async () => {
+  const first = await allocateNumber("ntc", record("n1"));
+  const second = await allocateNumber("ntc", record("n2"));
+
+  assert.match(first, /^R10-NTC-\d{4}-00001$/);
+  assert.equal(second, first.replace(/00001$/, "00002"));
+  assert.equal((await store.get("numberClaims", numberClaimKey("ntc", second))).entityId, "n2");
+});
+
+test("allocation skips numbers already held, archived or voided", async () => {
+  const year = new Date().getFullYear();
+  const number = (seq) => `R10-NFSI-${year}-${String(seq).padStart(5, "0")}`;
+
+  await store.set("records", "typed", record("typed", { nfsiNumber: number(1) }));
+  await store.set("archive/2026-02/records", "old", record("old", { nfsiNumber: number(2) }));
+  await store.set("numberVoids", "void-3", { id: "void-3", series: "nfsi", number: number(3) });
+
+  assert.equal(await allocateNumber("nfsi", record("fresh")), number(4));
+});
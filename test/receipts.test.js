@@ -0,0 +1,38 @@
+import { server } from "./setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+const { store, claimReceipt, receiptKey } = server;
+
+const req = { user: { username: "tester" } };
+
+test("an OR number is claimed for the entry that first carries it", async () => {
+  const first = { id: "r1", orNumber: "OR-100", orAmount: "250", orDate: "2026-05-02" };
+  assert.equal(await claimReceipt(req, "record", first), null);
+
+  const receipt = await store.get("receipts", receiptKey("OR-100"));
+  assert.equal(receipt.entityId, "r1");
+  assert.equal(receipt.amount, 250);
+
+  assert.match(await claimReceipt(req, "clearance", { id: "c1", orNumber: "or-100" }), /already used by record r1/);
+});
+
+test("saving an entry again with its own OR number is not a conflict", async () => {
+  const existing = { id: "r2", orNumber: "OR-200" };
+  assert.equal(await claimReceipt(req, "record", existing), null);
+  assert.equal(await claimReceipt(req, "record", { ...existing, orAmount: "10" }, existing), null);
+});
+
+test("a voided OR number cannot be used again", async () => {
+  await store.set("receipts", receiptKey("OR-300"), { id: receiptKey("OR-300"), orNumber: "OR-300", status: "void" });
+  assert.match(await claimReceipt(req, "record", { id: "r3", orNumber: "OR-300" }), /has been voided/);
+});
+
+test("OR numbers saved before the ledger, active or archived, are taken", async () => {
+  await store.set("clearances", "old-c", { id: "old-c", orNumber: "OR-400" });
+  await store.set("archive/2025-12/records", "old-r", { id: "old-r", orNumber: "OR-500" });
+
+  assert.match(await claimReceipt(req, "record", { id: "r4", orNumber: "OR-400" }), /clearance old-c/);
+  assert.match(await claimReceipt(req, "record", { id: "r5", orNumber: "OR-500" }), /record old-r/);
+  assert.equal(await store.get("receipts", receiptKey("OR-500")), null);
+});
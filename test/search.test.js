@@ -0,0 +1,43 @@
+import { server } from "./setup.js";
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+const { scoreSearchHit, searchWords, compactText } = server;
+
+const score = (entity, q) => scoreSearchHit(entity, searchWords(q), compactText(q))?.score ?? 0;
+
+const juan = {
+  ownerName: "Juan Dela Cruz",
+  establishmentName: "Cruz Hardware",
+  businessAddress: "Poblacion, Malaybalay",
+  fsicNo: "R10-FSIC-2026-00001",
+  orNumber: "1234567",
+};
+
+test("a whole number matches on its letters and digits", () => {
+  assert.equal(score(juan, "r10fsic202600001"), 1);
+  assert.ok(score(juan, "FSIC-2026-00001") > 0);
+});
+
+test("query words match parts of a number, leading zeros aside", () => {
+  assert.ok(score(juan, "R10 FSIC 2026-1") > score(juan, "R10 FSIC 2026-12"));
+  assert.equal(score(juan, "R10 FSIC 2026-1"), 1);
+  assert.equal(score(juan, "fsic 00001"), 1);
+  assert.equal(score(juan, "R10 FSIC 2026-7"), 0);
+});
+
+test("names and numbers can be mixed in one query", () => {
+  assert.equal(score(juan, "juan 1234567"), 1);
+  assert.equal(score(juan, "maria 1234567"), 0);
+});
+
+test("words may carry a typo and accents are ignored", () => {
+  assert.ok(score(juan, "jaun") > 0);
+  assert.ok(score(juan, "Malaybaláy") > 0);
+  assert.equal(score(juan, "pedro"), 0);
+});
+
+test("every word has to match something", () => {
+  assert.ok(score(juan, "cruz hardware") > 0);
+  assert.equal(score(juan, "cruz bakery"), 0);
+});
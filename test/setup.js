@@ -0,0 +1,45 @@
+// Loads the app against a fresh local data directory. Import it before
+// anything else in a test file; each file runs in its own process.
+import fs from "fs";
+import os from "os";
+import path from "path";
+import { once } from "events";
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "bfp-test-"));
+process.on("exit", () => fs.rmSync(dataDir, { recursive: true, force: true }));
+
+process.env.LOCAL_DATA_DIR = dataDir;
+process.env.STORAGE_BACKEND = "local";
+process.env.AUTH_SECRET = "test-auth-secret";
+process.env.VERIFY_SECRET = "test-verify-secret";
+delete process.env.ADMIN_USERNAME;
+
+export const server = await import("../server.js");
+
+// listens on a free port as an admin; request(method, path, body) resolves
+// to { status, body }
+export const startApp = async () => {
+  const user = { id: "test-admin", username: "tester", role: "admin", active: true };
+  await server.store.set("users", user.id, user);
+  const token = server.signToken(user);
+
+  const listener = server.app.listen(0, "127.0.0.1");
+  await once(listener, "listening");
+  const base = `http://127.0.0.1:${listener.address().port}`;
+
+  const request = async (method, url, body) => {
+    const res = await fetch(`${base}${url}`, {
+      method,
+      headers: { authorization: `Bearer ${token}`, "content-type": "application/json" },
+      body: body === undefined ? undefined : JSON.stringify(body),
+    });
+    return { status: res.status, body: await res.json() };
+  };
+
+  const close = () => {
+    listener.closeAllConnections();
+    return new Promise((resolve) => listener.close(resolve));
+  };
+
+  return { request, close };
+};